@@ -1,6 +1,11 @@
 // Background Service Worker with Smart Tab Switching
 import { TabCache } from "./services/tab-cache.js";
-import { SmartSwitcher } from "./services/smart-switcher.js";
+import { SmartSwitcher, TARGET_KIND, findSwitchTarget, switchTargets, targetKey } from "./services/smart-switcher.js";
+import { MATCH_MODE, compilePattern, isMatchUrlPattern, matchesUrl } from "./services/tab-matcher.js";
+import { Storage, DEFAULT_STATE } from "./storage.js";
+import { SNAPSHOT_ALARM, SNAPSHOT_INTERVAL_MINUTES } from "./services/snapshots.js";
+import { isAllowlisted, findDuplicateOf, duplicatesToClose } from "./services/duplicates.js";
+import { siteOf } from "./services/public-suffix.js";
 
 // Global instances
 let tabCache;
@@ -8,80 +13,67 @@ let switcher;
 let state = null; // Cached state
 let activeTabId = null; // Track active tab for keyboard shortcuts
 let sidePanelPort = null; // Track if side panel is open via port connection
-
-// Migration system
-const STORAGE_KEY = 'state.v1';
+const freshTabIds = new Set(); // Tabs that haven't loaded their first page yet (duplicate guard)
+const ACTIVATIONS_KEY = 'tabActivations'; // chrome.storage.session key of the tab cache's activation history
+let initialization = null; // Pending or finished initializeServices run
 
 /**
- * Run database migrations on the state
- * Each migration runs only once based on migrationVersion
+ * Wait until the services are ready, starting them if the worker just woke up
+ * Listeners and message handlers await this before touching tabCache, switcher or state, so an event
+ * that wakes the worker never sees a half-filled cache.
  */
-async function runMigrations() {
-  const result = await chrome.storage.sync.get([STORAGE_KEY]);
-  const currentState = result[STORAGE_KEY];
-
-  if (!currentState) {
-    console.log('[Migrations] No existing state, skipping migrations');
-    return;
-  }
-
-  const currentVersion = currentState.migrationVersion || 0;
-
-  // Migration 1: Enable showOpenTabs by default for existing users
-  if (currentVersion < 1) {
-    console.log('[Migration 1] Enabling Open Tabs list by default');
-    currentState.preferences = currentState.preferences || {};
-    currentState.preferences.showOpenTabs = true;
-    currentState.migrationVersion = 1;
-    currentState.tabAliases = currentState.tabAliases || {};
-
-    await chrome.storage.sync.set({ [STORAGE_KEY]: currentState });
-    console.log('[Migration 1] Completed');
+function ensureInitialized() {
+  if (!initialization) {
+    initialization = initializeServices().catch(error => {
+      initialization = null; // Let the next event retry
+      throw error;
+    });
   }
-
-  // Future migrations go here...
-  // if (currentVersion < 2) { ... }
-
-  console.log(`[Migrations] All migrations complete. Current version: ${currentState.migrationVersion}`);
+  return initialization;
 }
 
-// Initialize services
+// Initialize services (use ensureInitialized)
 async function initializeServices() {
   // Initialize tab cache
-  tabCache = new TabCache();
+  const cache = new TabCache();
 
   // Create state getter and updater functions for SmartSwitcher
   const getState = () => state;
 
-  const updateFavorite = async (favoriteId, updates) => {
-    // Load current state
-    const result = await chrome.storage.sync.get(['state.v1']);
-    const currentState = result['state.v1'];
-    if (!currentState) return;
-
-    // Update favorite
-    const updatedState = {
-      ...currentState,
-      favorites: currentState.favorites.map(f =>
-        f.id === favoriteId ? { ...f, ...updates } : f
-      )
-    };
-
-    // Save back to storage
-    await chrome.storage.sync.set({ 'state.v1': updatedState });
-    state = updatedState;
+  const saveBindings = async (bindings) => {
+    if (!(await Storage.hasState())) return;
+    state = await Storage.updateBindings(bindings);
   };
 
-  // Initialize smart switcher
-  switcher = new SmartSwitcher(tabCache, getState, updateFavorite);
+  const saveWorkspaceWindow = async (workspaceId, windowId) => {
+    if (!(await Storage.hasState())) return;
+    state = await Storage.setWorkspaceWindow(workspaceId, windowId);
+  };
 
-  // Load state
-  const result = await chrome.storage.sync.get(['state.v1']);
-  state = result['state.v1'] || null;
+  const relinkWorkspaceWindow = async (workspaceId) => {
+    if (!(await Storage.hasState())) return null;
+    const windowId = await Storage.relinkWorkspaceWindow(workspaceId);
+    state = await Storage.getState();
+    return windowId;
+  };
 
-  // Populate tab cache with all existing tabs
+  // Load state and populate the cache with all existing tabs
+  state = (await Storage.hasState()) ? await Storage.getState() : null;
   const tabs = await chrome.tabs.query({});
-  tabs.forEach(tab => tabCache.add(tab));
+  tabs.forEach(tab => cache.add(tab));
+
+  // Activation history from before the worker last stopped
+  const { [ACTIVATIONS_KEY]: activations } = await chrome.storage.session.get(ACTIVATIONS_KEY);
+  cache.restoreActivations(activations);
+
+  // Publish the services only once they're complete
+  tabCache = cache;
+  switcher = new SmartSwitcher(tabCache, getState, saveBindings, saveWorkspaceWindow, relinkWorkspaceWindow);
+  appliedUrlRules = null; // New cache
+  appliedTargets = null;
+  syncTabCacheRules();
+  syncTabCacheTargets();
+  syncLinkGuard();
 
   console.log(`[SmartSwitcher] Initialized with ${tabs.length} tabs`);
 }
@@ -117,87 +109,428 @@ chrome.runtime.onConnect.addListener((port) => {
 });
 
 // Tab event listeners - Keep cache fresh
-chrome.tabs.onCreated.addListener((tab) => {
-  if (tabCache) {
-    tabCache.add(tab);
-  }
+// (each waits for the services, so events that wake the worker aren't lost)
+chrome.tabs.onCreated.addListener(async (tab) => {
+  freshTabIds.add(tab.id);
+  await ensureInitialized();
+  tabCache.add(tab);
   notifyPanelUpdate();
 });
 
 chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
+  freshTabIds.delete(tabId);
+  await ensureInitialized();
+
   // Update tab cache
-  if (tabCache) {
-    tabCache.remove(tabId);
-  }
+  tabCache.remove(tabId);
+  switcher.openedTabIds.delete(tabId);
+  switcher.discardOnLoad.delete(tabId);
 
   // Clear binding cache for this tab
-  if (switcher) {
-    await switcher.clearBindingsForTab(tabId);
+  await switcher.clearBindingsForTab(tabId);
+
+  // A closed tab loses its alias; tabs closing with their window may come back via session restore
+  if (!removeInfo.isWindowClosing && Storage.getTabAlias(tabId)) {
+    state = await Storage.removeTabAlias(tabId);
   }
 
   notifyPanelUpdate();
 });
 
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  await ensureInitialized();
+
   // Update tab cache
-  if (tabCache && changeInfo.url) {
-    tabCache.update(tabId, changeInfo, tab);
+  tabCache.update(tabId, changeInfo, tab);
+  if (changeInfo.url) {
+    // A new tab opening an already open page switches to that tab instead
+    if (await guardDuplicate(tab)) return;
 
     // Revalidate bindings when URL changes
-    if (switcher) {
-      await switcher.revalidateBindingsForTab(tabId, tab);
+    await switcher.revalidateBindingsForTab(tabId, tab);
+
+    // An alias is matched back to its tab by URL after a restart, so it follows the tab's navigation
+    await refreshTabAlias(tabId);
+
+    // "Open all" as background tabs: discard once the URL has committed, so the tab keeps it
+    if (switcher.discardOnLoad.delete(tabId)) {
+      chrome.tabs.discard(tabId).catch(error => console.warn('[Workspaces] Could not discard tab:', error.message));
+    }
+  }
+
+  notifyPanelUpdate();
+});
+
+/**
+ * Duplicate guard: when a new tab's first page is already open, focus that tab and close the new one
+ * Applies once per tab (not to later navigation), and not to tabs the switcher opened on purpose.
+ * @returns {Promise<boolean>} - Whether the tab was closed
+ */
+async function guardDuplicate(tab) {
+  if (!freshTabIds.has(tab.id) || !/^(https?|file):/.test(tab.url)) return false; // Still on the new tab page
+  freshTabIds.delete(tab.id);
+
+  const prefs = state?.preferences;
+  if (!prefs?.duplicateGuard || switcher.openedTabIds.has(tab.id)) return false;
+  if (isAllowlisted(tab.url, prefs.duplicateGuardAllowlist, tabCache.canonicalOptions)) return false;
+
+  const existing = findDuplicateOf(tabCache, tab);
+  if (!existing) return false;
+
+  try {
+    await chrome.windows.update(existing.windowId, { focused: true });
+    await chrome.tabs.update(existing.id, { active: true });
+    await chrome.tabs.remove(tab.id);
+    return true;
+  } catch (error) {
+    console.warn('[Duplicates] Could not switch to the open tab:', error.message);
+    return false;
+  }
+}
+
+// Keep favorites on their site: while the setting is on, link-guard.js runs in every page and, in a favorite's
+// tab, stops clicks on links to other sites before they navigate, so they open in a new tab next to it
+const LINK_GUARD_ID = 'link-guard';
+let appliedLinkGuard = null;
+
+async function syncLinkGuard() {
+  if (!state) return;
+
+  const enabled = !!state.preferences?.openExternalLinksInNewTab;
+  if (enabled === appliedLinkGuard) return;
+  appliedLinkGuard = enabled;
+
+  try {
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [LINK_GUARD_ID] });
+    if (enabled && registered.length === 0) {
+      await chrome.scripting.registerContentScripts([
+        { id: LINK_GUARD_ID, js: ['link-guard.js'], matches: ['<all_urls>'], runAt: 'document_start' }
+      ]);
+
+      // Favorite tabs already open get it now rather than on their next page load
+      await Promise.all(switchTargets(state)
+        .filter(target => target.kind === TARGET_KIND.FAVORITE && target.lastBoundTabId)
+        .map(target => chrome.scripting.executeScript({ target: { tabId: target.lastBoundTabId }, files: ['link-guard.js'] })
+          .catch(() => {}))); // Internal pages can't be scripted
+    } else if (!enabled && registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [LINK_GUARD_ID] });
     }
-  } else if (tabCache) {
-    tabCache.update(tabId, changeInfo, tab);
+  } catch (error) {
+    appliedLinkGuard = null; // Retry on the next state change
+    console.warn('[Favorites] Could not update the link guard:', error.message);
   }
+}
+
+// Favorite bound to a tab, when links to other sites should leave it
+function guardedFavorite(tabId) {
+  if (!state?.preferences?.openExternalLinksInNewTab || tabId == null) return null;
+  return switchTargets(state).find(target => target.kind === TARGET_KIND.FAVORITE && target.lastBoundTabId === tabId) || null;
+}
 
+// Tab moved to another window
+chrome.tabs.onAttached.addListener(async (tabId) => {
+  await ensureInitialized();
+
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    tabCache.remove(tabId);
+    tabCache.add(tab);
+  } catch {
+    // Closed while moving
+  }
+  await refreshTabAlias(tabId);
   notifyPanelUpdate();
 });
 
-// Listen for storage changes to update local state
-chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'sync' && changes['state.v1']) {
-    state = changes['state.v1'].newValue;
+// Tab moved within its window
+chrome.tabs.onMoved.addListener(async (tabId) => {
+  await ensureInitialized();
+  await refreshTabAlias(tabId);
+});
+
+// Update the identity (URL, window, index) stored with a tab's alias
+async function refreshTabAlias(tabId) {
+  if (!Storage.getTabAlias(tabId)) return;
+
+  try {
+    state = await Storage.refreshTabAlias(tabId);
+  } catch (error) {
+    console.warn('[TabAliases] Could not refresh alias:', error.message);
   }
+}
+
+// Listen for state changes from the side panel to update local state
+Storage.subscribe((newState) => {
+  state = newState;
+  syncTabCacheRules();
+  syncTabCacheTargets();
+  syncLinkGuard();
+  notifyPanelUpdate();
 });
 
+// Re-index the tab cache when the URL rules or the tracking-parameter setting change
+let appliedUrlRules = null;
+
+function syncTabCacheRules() {
+  if (!tabCache || !state) return;
+
+  const options = { rules: state.urlRules, stripTracking: state.preferences?.stripTrackingParams !== false };
+  const key = JSON.stringify(options);
+  if (key !== appliedUrlRules) {
+    appliedUrlRules = key;
+    tabCache.setCanonicalOptions(options);
+  }
+}
+
+// Rebuild the tab cache's reverse index when favorites, workspace items or their match settings change
+// (binding updates rewrite the state too, but don't change what matches)
+let appliedTargets = null;
+
+function syncTabCacheTargets() {
+  if (!tabCache || !switcher || !state) return;
+
+  const targets = switchTargets(state);
+  const key = JSON.stringify([
+    state.preferences?.defaultMatchMode,
+    targets.map(({ kind, id, url, matchMode, matchPattern, matchUrls }) => [kind, id, url, matchMode, matchPattern, matchUrls])
+  ]);
+  if (key !== appliedTargets) {
+    appliedTargets = key;
+    tabCache.setTargets(new Map(targets.map(target => [targetKey(target), target])), switcher.targetMatcher());
+  }
+}
+
+/**
+ * Open tabs matching any item of a workspace (each tab once)
+ * @param {Object} options - { strict: only the items' bound tabs and tabs on or under an item's URL }
+ */
+function workspaceTabs(workspaceId, { strict = false } = {}) {
+  const tabs = new Map();
+  switchTargets(state)
+    .filter(target => target.workspaceId === workspaceId)
+    .forEach(target => {
+      tabCache.getTabsForTarget(targetKey(target))
+        .filter(tab => !strict || tab.id === target.lastBoundTabId ||
+          matchesUrl(tab.url, target.url, MATCH_MODE.PREFIX, null, tabCache.canonicalOptions))
+        .forEach(tab => tabs.set(tab.id, tab));
+    });
+  return Array.from(tabs.values());
+}
+
+function serializeDuplicateGroup(group) {
+  return {
+    url: group.url,
+    tabs: group.tabs.map(tab => ({
+      id: tab.id,
+      title: tab.title,
+      url: tab.url,
+      windowId: tab.windowId,
+      pinned: !!tab.pinned,
+      lastActivated: tabCache.getLastActivated(tab.id)
+    }))
+  };
+}
+
 // Notify side panel of changes
+// Streams reverse index changes ({ tabId, windowId, active, targets } per changed tab)
 function notifyPanelUpdate() {
-  chrome.runtime.sendMessage({ type: 'tabs-updated' }).catch(() => {
+  const changes = tabCache?.takeChanges() || [];
+  if (changes.length === 0) return;
+
+  chrome.runtime.sendMessage({ type: 'tabs-updated', changes }).catch(() => {
     // Side panel may not be open, ignore error
   });
 }
 
 // Message handler for smart switching
+// 'target:switch' payload: { kind: 'favorite' | 'workspace-item', id, mode, modifiers, windowId }
+// ('favorite:switch' with { favoriteId, modifiers } is the older favorites-only form)
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'favorite:switch') {
-    if (!switcher || !state) {
-      sendResponse({ ok: false, error: 'Switcher not initialized' });
-      return;
-    }
+  if (message.type === 'target:switch' || message.type === 'favorite:switch') {
+    const payload = message.type === 'favorite:switch'
+      ? { kind: TARGET_KIND.FAVORITE, id: message.payload.favoriteId, modifiers: message.payload.modifiers }
+      : message.payload;
 
-    const { favoriteId, modifiers } = message.payload;
-
-    // Get favorite from state
-    const favorite = state.favorites.find(f => f.id === favoriteId);
+    (async () => {
+      try {
+        // The worker may have just woken up
+        await ensureInitialized();
+        if (!state) {
+          sendResponse({ ok: false, error: 'Switcher not initialized' });
+          return;
+        }
 
-    if (!favorite) {
-      sendResponse({ ok: false, error: 'Favorite not found' });
-      return;
-    }
+        const target = findSwitchTarget(state, payload.kind, payload.id);
+        if (!target) {
+          sendResponse({ ok: false, error: payload.kind === TARGET_KIND.FAVORITE ? 'Favorite not found' : 'Workspace tab not found' });
+          return;
+        }
 
-    // Execute smart switch
-    switcher.switch(favorite, modifiers || {})
-      .then((result) => {
-        sendResponse({ ok: true, ...result });
-      })
-      .catch((error) => {
+        // Execute smart switch
+        const result = await switcher.switch(target, payload.modifiers || {}, {
+          mode: payload.mode || null,
+          windowId: payload.windowId ?? null
+        });
+        sendResponse({ ok: true, kind: target.kind, id: target.id, ...result });
+      } catch (error) {
         sendResponse({ ok: false, error: error?.message });
-      });
+      }
+    })();
 
     return true; // Keep channel open for async response
   }
 
+  // Duplicates view: groups of tabs sharing a canonical URL, across all windows
+  if (message.type === 'duplicates:get') {
+    (async () => {
+      try {
+        await ensureInitialized();
+        sendResponse({ ok: true, groups: tabCache.getDuplicates().map(serializeDuplicateGroup) });
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message });
+      }
+    })();
+    return true; // async
+  }
+
+  // Close duplicates, keeping the most recently used tab of each group
+  // payload: { url } to close one group's duplicates, or {} for all groups
+  // Response: { ok, closed: [{ url, index, windowId }] }
+  if (message.type === 'duplicates:close') {
+    (async () => {
+      try {
+        await ensureInitialized();
+        const url = message.payload?.url;
+        const groups = tabCache.getDuplicates().filter(group => !url || group.url === url);
+        const tabIds = duplicatesToClose(groups);
+        const closed = tabIds.map(id => tabCache.get(id)).map(tab => ({ url: tab.url, index: tab.index, windowId: tab.windowId }));
+        if (tabIds.length > 0) {
+          await chrome.tabs.remove(tabIds);
+        }
+        sendResponse({ ok: true, closed }); // For the panel's undo
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message });
+      }
+    })();
+    return true; // async
+  }
+
+  // Workspace-wide actions
+  // 'workspace:open' payload: { workspaceId, where: 'current' | 'new-window' | 'background', windowId }
+  // 'workspace:close' / 'workspace:reload' payload: { workspaceId } (pinned tabs are never closed)
+  if (['workspace:open', 'workspace:close', 'workspace:reload'].includes(message.type)) {
+    (async () => {
+      try {
+        await ensureInitialized();
+        const { workspaceId, where, windowId } = message.payload || {};
+        if (!state?.workspaces[workspaceId]) {
+          sendResponse({ ok: false, error: 'Workspace not found' });
+          return;
+        }
+
+        if (message.type === 'workspace:open') {
+          const targets = switchTargets(state).filter(target => target.workspaceId === workspaceId);
+          const result = await switcher.openAll(targets, { where, windowId });
+          sendResponse({ ok: true, ...result });
+        } else if (message.type === 'workspace:close') {
+          // Domain, site and pattern matches may be unrelated pages of the same site, so they stay open
+          const tabs = workspaceTabs(workspaceId, { strict: true }).filter(tab => !tab.pinned);
+          const closed = tabs.map(tab => ({ url: tab.url, index: tab.index, windowId: tab.windowId }));
+          if (tabs.length > 0) {
+            await chrome.tabs.remove(tabs.map(tab => tab.id));
+          }
+          sendResponse({ ok: true, closed }); // For the panel's undo
+        } else {
+          const tabs = workspaceTabs(workspaceId).filter(tab => !tab.discarded); // Discarded tabs load when visited
+          await Promise.all(tabs.map(tab => chrome.tabs.reload(tab.id)));
+          sendResponse({ ok: true, reloaded: tabs.length });
+        }
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message });
+      }
+    })();
+    return true; // async
+  }
+
+  // Tab indicators: the reverse index of every tab (later changes arrive as 'tabs-updated')
+  if (message.type === 'tab-index:get') {
+    (async () => {
+      try {
+        await ensureInitialized();
+        sendResponse({ ok: true, entries: tabCache.getIndex() });
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message });
+      }
+    })();
+    return true; // async
+  }
+
+  // Live pattern tester: which open tabs a match rule would pick, best match first, and why
+  // payload: { url, matchMode, matchPattern, matchUrls, windowId }
+  if (message.type === 'pattern:test') {
+    (async () => {
+      try {
+        await ensureInitialized();
+
+        const { url, matchMode, matchPattern, matchUrls = [], windowId } = message.payload;
+        const patterns = [
+          ...(matchMode === MATCH_MODE.PATTERN ? [matchPattern || ''] : []),
+          ...matchUrls.filter(isMatchUrlPattern)
+        ];
+        const error = patterns.map(pattern => compilePattern(pattern).error).find(Boolean) || null;
+        const matches = error ? [] : switcher.explainMatches({ url, matchMode, matchPattern, matchUrls }, windowId ?? null);
+
+        sendResponse({
+          ok: true,
+          error,
+          total: tabCache.getAll().length,
+          matches: matches.map(({ tab, reasons }) => ({ id: tab.id, title: tab.title, url: tab.url, windowId: tab.windowId, reasons }))
+        });
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message });
+      }
+    })();
+    return true; // async
+  }
+
+  // Link guard (link-guard.js): 'link-guard:get' asks for the site of the sender tab's favorite;
+  // 'link-guard:open' payload { url } opens a link to another site next to the tab.
+  // Response: { ok, opened } - when not opened, the page follows the link itself
+  if (message.type === 'link-guard:get') {
+    (async () => {
+      try {
+        await ensureInitialized();
+        const favorite = guardedFavorite(sender.tab?.id);
+        sendResponse({ ok: true, site: favorite ? siteOf(favorite.url) : null });
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message });
+      }
+    })();
+    return true; // async
+  }
+
+  if (message.type === 'link-guard:open') {
+    (async () => {
+      try {
+        await ensureInitialized();
+        const tab = sender.tab;
+        const favorite = guardedFavorite(tab?.id);
+
+        // Links the favorite still matches (extra match URLs, patterns) stay in the tab
+        if (!favorite || switcher.isValidBinding({ url: message.payload.url }, favorite)) {
+          sendResponse({ ok: true, opened: false });
+          return;
+        }
+
+        await chrome.tabs.create({ url: message.payload.url, windowId: tab.windowId, index: tab.index + 1, openerTabId: tab.id });
+        sendResponse({ ok: true, opened: true });
+      } catch (error) {
+        sendResponse({ ok: false, error: error?.message });
+      }
+    })();
+    return true; // async
+  }
+
   if (message.type === 'keep-alive') {
     sendResponse({ status: 'alive' });
     return;
@@ -322,40 +655,68 @@ async function copyToClipboardViaOffscreen(dataUrl) {
 chrome.runtime.onInstalled.addListener(async (details) => {
   if (details.reason === 'install') {
     // New installation - Initialize with default state
-    const result = await chrome.storage.sync.get(['state.v1']);
-    if (!result['state.v1']) {
-      const defaultState = {
-        favorites: [],
-        workspaces: {},
-        preferences: {
-          openBehavior: 'smart-switch',
-          showOpenTabs: true, // Enabled by default for new users
-          themeDensity: 'cozy',
-          defaultMatchMode: 'prefix',
-          multiWindowBehavior: 'focus',
-          enableCycleOnReclick: true,
-          cycleCooldown: 1500,
-          stripTrackingParams: true
-        },
-        tabAliases: {},
-        migrationVersion: 1 // New installs start at latest version
-      };
-      await chrome.storage.sync.set({ 'state.v1': defaultState });
-      state = defaultState;
-      console.log('[Install] Initialized with default state (migrationVersion: 1)');
+    if (!(await Storage.hasState())) {
+      state = await Storage.setState(structuredClone(DEFAULT_STATE));
+      console.log(`[Install] Initialized with default state (migrationVersion: ${state.migrationVersion})`);
     }
   } else if (details.reason === 'update') {
     // Extension updated - Run migrations for existing users
     console.log('[Update] Extension updated, running migrations...');
-    await runMigrations();
+    try {
+      await Storage.runMigrations();
+      // Tab IDs are still valid after an update, so migrated aliases get their identity now
+      await Storage.syncTabAliases();
+    } catch (error) {
+      // State was rolled back; the side panel retries on next open
+      console.error('[Update] Migrations failed:', error);
+    }
   }
 
   // Initialize active tab for keyboard shortcuts
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   activeTabId = tab?.id || null;
 
+  await scheduleSnapshots();
+
   // Initialize services after migration/install
-  await initializeServices();
+  await ensureInitialized();
+});
+
+// Periodic state snapshots and trash purge (alarms persist across restarts, so only create it once)
+async function scheduleSnapshots() {
+  const existing = await chrome.alarms.get(SNAPSHOT_ALARM);
+  if (!existing) {
+    await chrome.alarms.create(SNAPSHOT_ALARM, { periodInMinutes: SNAPSHOT_INTERVAL_MINUTES });
+  }
+}
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== SNAPSHOT_ALARM) return;
+
+  try {
+    const snapshot = await Storage.takeSnapshot('periodic');
+    console.log(snapshot ? `[Snapshots] Saved snapshot ${snapshot.id}` : '[Snapshots] No changes, skipped');
+  } catch (error) {
+    console.error('[Snapshots] Failed:', error);
+  }
+
+  // Re-bind tab aliases and sweep those whose tab is gone
+  try {
+    if (await Storage.hasState()) {
+      state = await Storage.syncTabAliases();
+    }
+  } catch (error) {
+    console.error('[TabAliases] Sync failed:', error);
+  }
+
+  // Same hourly tick purges expired trash entries
+  try {
+    if (await Storage.hasState()) {
+      state = await Storage.purgeTrash();
+    }
+  } catch (error) {
+    console.error('[Trash] Purge failed:', error);
+  }
 });
 
 // Startup handler
@@ -364,12 +725,59 @@ chrome.runtime.onStartup.addListener(async () => {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   activeTabId = tab?.id || null;
 
-  await initializeServices();
+  await scheduleSnapshots();
+  await ensureInitialized();
+
+  // Tab IDs from the last session may now belong to unrelated tabs
+  try {
+    if (await Storage.hasState()) {
+      state = await Storage.clearTabBindings();
+    }
+  } catch (error) {
+    console.error('[SmartSwitcher] Could not clear old tab bindings:', error);
+  }
+
+  // Tabs restored from the last session have new IDs - match aliases back to them
+  try {
+    state = await Storage.syncTabAliases({ restarted: true });
+  } catch (error) {
+    console.error('[TabAliases] Startup sync failed:', error);
+  }
+
+  // Restored windows have new IDs too; each workspace finds its window on its next open (relinkWorkspaceWindow)
 });
 
-// Track active tab changes for keyboard shortcuts
-chrome.tabs.onActivated.addListener((activeInfo) => {
+// Track active tab changes for keyboard shortcuts and most-recently-used ranking
+chrome.tabs.onActivated.addListener(async (activeInfo) => {
   activeTabId = activeInfo.tabId;
+  await ensureInitialized();
+  tabCache.recordActivation(activeInfo.tabId);
+  saveActivations();
+  notifyPanelUpdate();
+});
+
+// Keep the activation history for the next service worker (chrome.storage.session lasts until the browser quits)
+function saveActivations() {
+  chrome.storage.session.set({ [ACTIVATIONS_KEY]: tabCache.getActivations() }).catch(error => {
+    console.warn('[SmartSwitcher] Could not save activation history:', error.message);
+  });
+}
+
+// Switching windows makes that window's active tab the most recently used one
+chrome.windows.onFocusChanged.addListener(async (windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+
+  try {
+    await ensureInitialized();
+    const [tab] = await chrome.tabs.query({ active: true, windowId });
+    if (tab) {
+      tabCache.recordActivation(tab.id);
+      saveActivations();
+      notifyPanelUpdate();
+    }
+  } catch {
+    // Window closed while focusing
+  }
 });
 
 // Keep service worker alive if needed (MV3 can sleep)
@@ -42,15 +42,22 @@ function createFaviconElement(url, size = 20, customIcon = null) {
   return container;
 }
 
+// Where a favorite's or workspace tab's matches are open: "open in this window (2), window 3"
+function describeOpenWindows(tabState) {
+  const windows = (tabState?.windows || []).map(({ label, count }) => (count > 1 ? `${label} (${count})` : label));
+  return windows.length > 0 ? `open in ${windows.join(', ')}` : '';
+}
+
 // Favorites Grid Component
 class FavoritesGrid {
-  constructor(container, state, onAdd, onRemove, onClick, tabStates = {}) {
+  constructor(container, state, onAdd, onRemove, onClick, tabStates = {}, onEdit = null) {
     this.container = container;
     this.state = state;
     this.onAdd = onAdd;
     this.onRemove = onRemove;
     this.onClick = onClick;
     this.tabStates = tabStates;
+    this.onEdit = onEdit;
   }
 
   render() {
@@ -74,9 +81,17 @@ class FavoritesGrid {
         } else if (tabState.tabCount === 1) {
           item.classList.add('is-open');
         }
+        if (tabState.elsewhere) {
+          item.classList.add('is-elsewhere');
+        }
+        item.title += ` · ${describeOpenWindows(tabState)}`;
+        if (tabState.drifted) {
+          item.classList.add('is-drifted');
+          item.title += ' · navigated away (Alt+Shift+click to go back home)';
+        }
       }
 
-      const faviconUrl = getFaviconUrl(fav.url);
+      const faviconUrl = fav.icon || getFaviconUrl(fav.url);
 
       if (faviconUrl) {
         const img = document.createElement('img');
@@ -101,7 +116,7 @@ class FavoritesGrid {
         e.stopPropagation();
         showConfirmDialog({
           title: 'Remove Favorite?',
-          message: `Remove "${fav.title || new URL(fav.url).hostname}" from favorites?<br><br>You can always add it back later.`,
+          message: `Remove "${fav.title || new URL(fav.url).hostname}" from favorites?<br><br>You can restore it from the Trash.`,
           confirmText: 'Remove',
           cancelText: 'Cancel',
           danger: true,
@@ -120,13 +135,21 @@ class FavoritesGrid {
             label: 'Open in new tab',
             onClick: () => this.onClick(fav, 'new-tab')
           },
+          ...(tabState?.drifted ? [{
+            label: 'Back to home',
+            onClick: () => this.onClick(fav, 'home')
+          }] : []),
           { divider: true },
+          ...(this.onEdit ? [{
+            label: 'Edit...',
+            onClick: () => this.onEdit(fav.id)
+          }] : []),
           {
             label: 'Remove from favorites',
             onClick: () => {
               showConfirmDialog({
                 title: 'Remove Favorite?',
-                message: `Remove "${fav.title || new URL(fav.url).hostname}" from favorites?<br><br>You can always add it back later.`,
+                message: `Remove "${fav.title || new URL(fav.url).hostname}" from favorites?<br><br>You can restore it from the Trash.`,
                 confirmText: 'Remove',
                 cancelText: 'Cancel',
                 danger: true,
@@ -207,13 +230,19 @@ class WorkspacesList {
     const icon = workspaceIcons[workspace.name] || workspaceIcons['default'];
     const editIcon = isEditing ? '✏️' : icon;
 
+    // Items with a tab open in any window
+    const openCount = workspace.items.filter(item => this.tabStates[item.id]).length;
+    const count = openCount > 0
+      ? `<span class="workspace-count has-open" title="${openCount} of ${workspace.items.length} open">${openCount}/${workspace.items.length}</span>`
+      : `<span class="workspace-count">${workspace.items.length}</span>`;
+
     header.innerHTML = `
       <svg class="workspace-chevron" viewBox="0 0 20 20" fill="none">
         <path d="M7 4L13 10L7 16" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
       </svg>
       <span class="workspace-icon">${editIcon}</span>
       <span class="workspace-name">${this.escapeHtml(workspace.name)}${isEditing ? ' (Editing...)' : ''}</span>
-      <span class="workspace-count">${workspace.items.length}</span>
+      ${count}
     `;
 
     // Only allow collapse toggle when not editing
@@ -228,6 +257,27 @@ class WorkspacesList {
       e.preventDefault();
       e.stopPropagation();
       showContextMenu(e.clientX, e.clientY, [
+        ...(workspace.items.length > 0 ? [
+          {
+            label: 'Open all',
+            submenu: [
+              { label: 'In this window', onClick: () => this.callbacks.onOpenAll(workspace.id, 'current') },
+              { label: 'In a new window', onClick: () => this.callbacks.onOpenAll(workspace.id, 'new-window') },
+              { label: 'As background tabs', onClick: () => this.callbacks.onOpenAll(workspace.id, 'background') }
+            ]
+          },
+          ...(openCount > 0 ? [
+            {
+              label: 'Reload all',
+              onClick: () => this.callbacks.onReloadAll(workspace.id)
+            },
+            {
+              label: 'Close all tabs of this workspace',
+              onClick: () => this.callbacks.onCloseAll(workspace.id)
+            }
+          ] : []),
+          { divider: true }
+        ] : []),
         {
           label: 'Rename',
           onClick: () => this.callbacks.onRenameWorkspace(workspace.id)
@@ -236,6 +286,15 @@ class WorkspacesList {
           label: 'Edit items',
           onClick: () => this.enterEditMode(workspace.id)
         },
+        {
+          label: 'Export',
+          submenu: Object.entries(Storage.exportFormats)
+            .filter(([, { backup }]) => !backup) // Backups always contain everything
+            .map(([format, { label }]) => ({
+              label,
+              onClick: () => this.callbacks.onExportWorkspace(format, workspace.id)
+            }))
+        },
         { divider: true },
         {
           label: 'Delete workspace',
@@ -265,42 +324,9 @@ class WorkspacesList {
         const sourceWorkspaceId = fromData.workspaceId;
         const targetWorkspaceId = toData?.workspaceId || sourceWorkspaceId;
 
-        const currentState = await Storage.getState();
-        const sourceWorkspace = currentState.workspaces[sourceWorkspaceId];
-        const targetWorkspace = currentState.workspaces[targetWorkspaceId];
-
-        if (!sourceWorkspace || !targetWorkspace) return;
-
-        // Find the dragged item
-        const item = sourceWorkspace.items.find(i => i.id === fromData.itemId);
-        if (!item) return;
-
-        if (sourceWorkspaceId === targetWorkspaceId) {
-          // Reorder within the same workspace
-          const newItems = reorderArray(sourceWorkspace.items, fromIndex, toIndex);
-          await Storage.updateWorkspace(sourceWorkspaceId, { items: newItems });
-        } else {
-          // Move to a different workspace at the target position
-          const updatedSourceItems = sourceWorkspace.items.filter(i => i.id !== fromData.itemId);
-          const destinationItems = [...targetWorkspace.items];
-          const insertionIndex = Math.min(toIndex, destinationItems.length);
-          destinationItems.splice(insertionIndex, 0, item);
-
-          await Storage.updateState(state => ({
-            ...state,
-            workspaces: {
-              ...state.workspaces,
-              [sourceWorkspaceId]: {
-                ...state.workspaces[sourceWorkspaceId],
-                items: updatedSourceItems
-              },
-              [targetWorkspaceId]: {
-                ...state.workspaces[targetWorkspaceId],
-                items: destinationItems
-              }
-            }
-          }));
-        }
+        // Reorder within the same workspace or move to a different one at the target position.
+        // Done inside a single update so it applies to the latest state.
+        await Storage.moveWorkspaceItem(sourceWorkspaceId, targetWorkspaceId, fromData.itemId, toIndex);
 
         // Refresh state and re-render
         const state = await Storage.getState();
@@ -357,6 +383,10 @@ class WorkspacesList {
       } else if (tabState.tabCount === 1) {
         div.classList.add('is-open');
       }
+      if (tabState.elsewhere) {
+        div.classList.add('is-elsewhere');
+      }
+      div.title = `${item.alias || item.url} · ${describeOpenWindows(tabState)}`;
     }
 
     // Icon (use custom icon if provided)
@@ -427,6 +457,10 @@ class WorkspacesList {
       {
         label: 'Rename alias',
         onClick: () => this.callbacks.onRenameItem(workspaceId, item.id)
+      },
+      {
+        label: 'Edit...',
+        onClick: () => this.callbacks.onEditItem(workspaceId, item.id)
       }
     ];
 
@@ -670,6 +704,46 @@ function showConfirmDialog({ title, message, confirmText = 'Confirm', cancelText
   }, 100);
 }
 
+// Toast
+let toastTimeout = null;
+
+/**
+ * Show a toast at the bottom of the panel
+ * @param {string} message - Text to show
+ * @param {Object} options - { actionLabel, onAction, duration }
+ */
+function showToast(message, { actionLabel = null, onAction = null, duration = 6000 } = {}) {
+  const toast = document.getElementById('toast');
+  toast.innerHTML = '';
+
+  const text = document.createElement('span');
+  text.className = 'toast-message';
+  text.textContent = message;
+  toast.appendChild(text);
+
+  if (actionLabel && onAction) {
+    const actionBtn = document.createElement('button');
+    actionBtn.className = 'toast-action';
+    actionBtn.textContent = actionLabel;
+    actionBtn.addEventListener('click', () => {
+      hideToast();
+      onAction();
+    });
+    toast.appendChild(actionBtn);
+  }
+
+  toast.style.display = 'flex';
+
+  clearTimeout(toastTimeout);
+  toastTimeout = setTimeout(hideToast, duration);
+}
+
+function hideToast() {
+  clearTimeout(toastTimeout);
+  toastTimeout = null;
+  document.getElementById('toast').style.display = 'none';
+}
+
 // Click outside to close
 document.addEventListener('DOMContentLoaded', () => {
   const overlay = document.getElementById('modal-overlay');
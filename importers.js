@@ -0,0 +1,212 @@
+// Importers for other tools' exports
+// Each importer turns a file into { favorites: [{ url, title }], workspaces: [{ name, emoji, items: [{ url, title }] }] }
+
+function isImportableUrl(url) {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function tryParseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Netscape bookmark file (bookmarks.html, exported by every major browser)
+const netscapeImporter = {
+  id: 'netscape',
+  name: 'Bookmarks HTML',
+
+  detect(fileName, text) {
+    return /<!DOCTYPE NETSCAPE-Bookmark-file-1>/i.test(text) ||
+      (/\.html?$/i.test(fileName) && /<DL>/i.test(text));
+  },
+
+  parse(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    const result = { favorites: [], workspaces: [] };
+    const loose = [];
+
+    // Links directly inside a <DL>, skipping nested folders
+    const linksIn = dl => Array.from(dl.querySelectorAll(':scope > dt > a'))
+      .map(a => ({ url: a.getAttribute('href'), title: a.textContent.trim() }))
+      .filter(link => isImportableUrl(link.url));
+
+    function walkFolder(dl, isRoot) {
+      Array.from(dl.querySelectorAll(':scope > dt > h3')).forEach(h3 => {
+        const childList = h3.parentElement.querySelector(':scope > dl');
+        if (!childList) return;
+
+        const links = linksIn(childList);
+        if (h3.hasAttribute('personal_toolbar_folder')) {
+          // Bookmarks bar links become favorites
+          result.favorites.push(...links);
+        } else if (links.length > 0) {
+          result.workspaces.push({ name: h3.textContent.trim() || 'Bookmarks', emoji: null, items: links });
+        }
+        walkFolder(childList, false);
+      });
+
+      if (isRoot) {
+        loose.push(...linksIn(dl));
+      }
+    }
+
+    const rootList = doc.querySelector('dl');
+    if (rootList) {
+      walkFolder(rootList, true);
+    }
+
+    // Same bucket onboarding uses for bookmarks outside folders
+    if (loose.length > 0) {
+      result.workspaces.push({ name: 'Random', emoji: '🎲', items: loose });
+    }
+    return result;
+  }
+};
+
+// OneTab "Export URLs": one "url | title" per line, groups separated by blank lines
+const oneTabImporter = {
+  id: 'onetab',
+  name: 'OneTab',
+
+  detect(fileName, text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return lines.length > 0 && lines.every(line => /^https?:\/\/\S+/.test(line));
+  },
+
+  parse(text) {
+    const groups = text.split(/\r?\n\s*\r?\n/)
+      .map(block => block.split(/\r?\n/).map(line => line.trim()).filter(Boolean))
+      .filter(lines => lines.length > 0);
+
+    return {
+      favorites: [],
+      workspaces: groups.map((lines, i) => ({
+        name: groups.length > 1 ? `OneTab ${i + 1}` : 'OneTab',
+        emoji: null,
+        items: lines.map(line => {
+          const [url, ...titleParts] = line.split(' | ');
+          return { url: url.trim(), title: titleParts.join(' | ').trim() };
+        }).filter(item => isImportableUrl(item.url))
+      }))
+    };
+  }
+};
+
+// Toby JSON export: { lists: [...] } (v2) or { groups: [{ lists: [...] }] } (v3+)
+const tobyImporter = {
+  id: 'toby',
+  name: 'Toby',
+
+  detect(fileName, text) {
+    const data = tryParseJson(text);
+    return !!data && (Array.isArray(data.lists) || (Array.isArray(data.groups) && data.groups.some(g => Array.isArray(g?.lists))));
+  },
+
+  parse(text) {
+    const data = JSON.parse(text);
+    const lists = Array.isArray(data.lists)
+      ? data.lists
+      : data.groups.flatMap(group => group.lists || []);
+
+    return {
+      favorites: [],
+      workspaces: lists.map(list => ({
+        name: list.title || 'Toby',
+        emoji: null,
+        items: (list.cards || [])
+          .map(card => ({ url: card.url, title: card.customTitle || card.title || '' }))
+          .filter(item => isImportableUrl(item.url))
+      }))
+    };
+  }
+};
+
+// Arc's StorableSidebar.json (~/Library/Application Support/Arc)
+// Spaces become workspaces (pinned tabs only), Top Apps become favorites
+const arcImporter = {
+  id: 'arc',
+  name: 'Arc sidebar',
+
+  detect(fileName, text) {
+    const data = tryParseJson(text);
+    return !!data && Array.isArray(data.sidebar?.containers);
+  },
+
+  parse(text) {
+    const data = JSON.parse(text);
+    const container = data.sidebar.containers.find(c => Array.isArray(c.spaces) && Array.isArray(c.items));
+    if (!container) {
+      return { favorites: [], workspaces: [] };
+    }
+
+    // Arc stores lists as [id, object, id, object, ...]
+    const objectsOf = list => (list || []).filter(entry => entry && typeof entry === 'object');
+    const itemsById = new Map(objectsOf(container.items).map(item => [item.id, item]));
+
+    // Tabs below a container or folder, folders flattened
+    function collectTabs(id) {
+      const node = itemsById.get(id);
+      if (!node) return [];
+      if (node.data?.tab) {
+        return [{ url: node.data.tab.savedURL, title: node.title || node.data.tab.savedTitle || '' }];
+      }
+      return (node.childrenIds || []).flatMap(collectTabs);
+    }
+
+    const favorites = (container.topAppsContainerIDs || [])
+      .filter(id => typeof id === 'string')
+      .flatMap(collectTabs);
+
+    const workspaces = objectsOf(container.spaces).map(space => {
+      const ids = space.containerIDs || [];
+      const pinnedId = ids[ids.indexOf('pinned') + 1];
+      return {
+        name: space.title || 'Arc space',
+        emoji: space.customInfo?.iconType?.emoji_v2 || space.customInfo?.iconType?.emoji || null,
+        items: ids.includes('pinned') ? collectTabs(pinnedId) : []
+      };
+    });
+
+    return {
+      favorites: favorites.filter(fav => isImportableUrl(fav.url)),
+      workspaces: workspaces.map(ws => ({ ...ws, items: ws.items.filter(item => isImportableUrl(item.url)) }))
+    };
+  }
+};
+
+const IMPORTERS = [netscapeImporter, arcImporter, tobyImporter, oneTabImporter];
+
+/**
+ * Find the importer that understands a file
+ * @returns {Object|null} - Importer, or null for unknown formats
+ */
+function detectImporter(fileName, text) {
+  return IMPORTERS.find(importer => importer.detect(fileName, text)) || null;
+}
+
+/**
+ * Add parsed favorites and workspaces to state, in one write
+ * Like onboarding: URLs already saved are skipped, workspaces with an existing name are added to.
+ * @param {Object} collection - Importer output
+ * @returns {Promise<Object>} - { favorites, workspaces, items, skipped }
+ */
+async function applyImportedCollection(collection) {
+  await Storage.takeSnapshot('import'); // Restorable from Settings, like backup imports
+
+  const { summary } = await Storage.addCollection({
+    favorites: collection.favorites,
+    workspaces: collection.workspaces.map(folder => ({
+      ...folder,
+      emoji: folder.emoji || guessEmojiForFolder(folder.name)
+    }))
+  });
+  return summary;
+}
@@ -0,0 +1,55 @@
+// Link guard injected into pages while "Keep favorites on their site" is on (registered by background.js).
+// In a favorite's tab, a click on a link to another site is stopped before the page navigates, and the
+// background opens the link in a new tab next to it instead - so the link loads once, in the new tab.
+
+(function () {
+  if (window.__arcWorkspacesLinkGuard) return;
+  window.__arcWorkspacesLinkGuard = true;
+
+  let site = null; // Site of the favorite this tab belongs to (null: not a favorite's tab)
+
+  // Favorites are bound to a tab when it's switched to, so look again whenever the page is shown
+  function refresh() {
+    chrome.runtime.sendMessage({ type: 'link-guard:get' })
+      .then(response => {
+        site = response?.site || null;
+      })
+      .catch(() => {
+        site = null; // Extension reloaded or turned off
+      });
+  }
+
+  function isSameSite(hostname) {
+    return hostname === site || hostname.endsWith(`.${site}`);
+  }
+
+  // Bubble phase, so links the page handles itself (defaultPrevented) are left alone
+  window.addEventListener('click', (event) => {
+    if (!site || event.defaultPrevented || event.button !== 0) return;
+    if (event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) return; // Opens elsewhere anyway
+
+    const link = event.composedPath().find(el => el instanceof HTMLAnchorElement && el.href);
+    if (!link || link.hasAttribute('download')) return;
+    if (link.target && !['_self', '_top', '_parent'].includes(link.target)) return;
+
+    let url;
+    try {
+      url = new URL(link.href);
+    } catch {
+      return;
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || isSameSite(url.hostname)) return;
+
+    event.preventDefault();
+    chrome.runtime.sendMessage({ type: 'link-guard:open', payload: { url: url.href } })
+      .then(response => {
+        if (!response?.opened) location.assign(url.href); // The link belongs to the favorite after all
+      })
+      .catch(() => location.assign(url.href));
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refresh();
+  });
+  refresh();
+})();
@@ -225,22 +225,12 @@ async function analyzeHistory(days = 14) {
  * Clean hostname for display title
  * gmail.com → Gmail
  * acme-corp.slack.com → Slack
+ * news.bbc.co.uk → Bbc (public suffixes like co.uk are skipped)
  */
 function cleanTitle(hostname) {
-  // Remove common prefixes
-  let clean = hostname.replace(/^www\./, '');
-
-  // Extract main name (before first dot or hyphen in subdomain)
-  const parts = clean.split('.');
-
-  // For subdomains like acme-corp.slack.com, use the main domain
-  if (parts.length > 2) {
-    // Get the domain before TLD (slack from acme-corp.slack.com)
-    clean = parts[parts.length - 2];
-  } else {
-    // Simple domain like github.com
-    clean = parts[0];
-  }
+  // Main name is the registrable domain's first label (slack from acme-corp.slack.com)
+  const site = TabMatcher.registrableDomain(hostname);
+  const clean = site ? site.split('.')[0] : hostname.replace(/^www\./, '').split('.')[0];
 
   // Capitalize first letter
   return clean.charAt(0).toUpperCase() + clean.slice(1);
@@ -816,9 +806,10 @@ function showTipsModal() {
 
 /**
  * Import all bookmark folders (for Settings - no 30-day filter)
+ * @param {Object} storage - Storage, or a view of it recording into an undo group (Storage.recordingTo)
  * @returns {Promise<Object>} - Summary of imported workspaces
  */
-async function importAllBookmarks() {
+async function importAllBookmarks(storage = Storage) {
   try {
     console.log('[importAllBookmarks] Starting import...');
 
@@ -827,8 +818,11 @@ async function importAllBookmarks() {
       skipped: 0
     };
 
+    // Restorable from Settings, like backup imports
+    await storage.takeSnapshot('import');
+
     // Get current state
-    const state = await Storage.getState();
+    const state = await storage.getState();
     console.log('[importAllBookmarks] Current state:', {
       favorites: state.favorites.length,
       workspaces: Object.keys(state.workspaces).length
@@ -867,7 +861,7 @@ async function importAllBookmarks() {
         workspace = existingWorkspace;
       } else {
         console.log(`[importAllBookmarks] Creating new workspace "${folder.name}"`);
-        workspace = await Storage.addWorkspace(folder.name, emoji);
+        workspace = await storage.addWorkspace(folder.name, emoji);
       }
 
       let addedCount = 0;
@@ -879,7 +873,7 @@ async function importAllBookmarks() {
           if (!existingUrls.has(bookmark.url)) {
             console.log(`[importAllBookmarks]   ✅ Adding: ${bookmark.title}`);
             const hostname = new URL(bookmark.url).hostname;
-            await Storage.addWorkspaceItem(workspace.id, {
+            await storage.addWorkspaceItem(workspace.id, {
               url: bookmark.url,
               title: bookmark.title || cleanTitle(hostname)
             });
@@ -939,7 +933,7 @@ async function importAllBookmarks() {
 
       if (!randomWorkspace) {
         console.log('[importAllBookmarks] Creating Random workspace for loose bookmarks');
-        randomWorkspace = await Storage.addWorkspace('Random', '🎲');
+        randomWorkspace = await storage.addWorkspace('Random', '🎲');
       } else {
         console.log('[importAllBookmarks] Using existing Random workspace');
       }
@@ -952,7 +946,7 @@ async function importAllBookmarks() {
           if (!existingUrls.has(bookmark.url)) {
             console.log(`[importAllBookmarks]   ✅ Adding loose bookmark: ${bookmark.title}`);
             const hostname = new URL(bookmark.url).hostname;
-            await Storage.addWorkspaceItem(randomWorkspace.id, {
+            await storage.addWorkspaceItem(randomWorkspace.id, {
               url: bookmark.url,
               title: bookmark.title || cleanTitle(hostname)
             });
@@ -0,0 +1,49 @@
+// Regenerates services/public-suffix-list.js from the rules shipped in the psl package
+// Usage: node scripts/generate-public-suffix-list.mjs <path to psl>/data/rules.js (see README)
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL, domainToASCII } from 'node:url';
+
+const OUTPUT = join(dirname(fileURLToPath(import.meta.url)), '..', 'services', 'public-suffix-list.js');
+
+// Rules compare against URL().hostname, so internationalized labels are stored as punycode
+function toAscii(rule) {
+  const prefix = rule.match(/^(\*\.|!)?/)[0];
+  const ascii = domainToASCII(rule.slice(prefix.length));
+  if (!ascii) {
+    throw new Error(`Cannot convert rule to punycode: ${rule}`);
+  }
+  return prefix + ascii;
+}
+
+async function main() {
+  const rulesPath = process.argv[2];
+  if (!rulesPath) {
+    console.error('Usage: node scripts/generate-public-suffix-list.mjs <path to psl>/data/rules.js');
+    process.exit(1);
+  }
+
+  const { default: rules } = await import(pathToFileURL(resolve(rulesPath)).href);
+  const pkg = JSON.parse(await readFile(join(dirname(resolve(rulesPath)), '..', 'package.json'), 'utf8'));
+
+  const output = `// Public Suffix List data (https://publicsuffix.org/list/), ICANN and private sections
+// Generated from the list shipped in psl ${pkg.version}; internationalized entries are punycode so they
+// compare against URL().hostname. One rule per line in list syntax: "*." wildcards, "!" exceptions.
+//
+// This Source Code Form is subject to the terms of the Mozilla Public License, v. 2.0.
+// If a copy of the MPL was not distributed with this file, You can obtain one at https://mozilla.org/MPL/2.0/.
+
+export const PUBLIC_SUFFIX_RULES = \`
+${rules.map(toAscii).join('\n')}
+\`;
+`;
+
+  await writeFile(OUTPUT, output);
+  console.log(`Wrote ${rules.length} rules to ${OUTPUT}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,126 @@
+// Backup Encryption - passphrase-protected backups (PBKDF2-SHA256 key derivation, AES-GCM)
+
+const ENVELOPE_FORMAT = 'arc-workspaces-encrypted-backup';
+const ENVELOPE_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 600000; // OWASP recommendation for PBKDF2-HMAC-SHA256
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Thrown when a backup can't be decrypted (wrong passphrase or damaged file)
+ */
+export class BackupDecryptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BackupDecryptError';
+  }
+}
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Check whether file contents are an encrypted backup
+ */
+export function isEncryptedBackup(text) {
+  try {
+    return JSON.parse(text)?.format === ENVELOPE_FORMAT;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Encrypt a backup with a passphrase
+ * @param {string} plaintext - Backup JSON
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} - Envelope JSON (salt, IV and KDF parameters travel with the file)
+ */
+export async function encryptBackup(plaintext, passphrase) {
+  if (!passphrase) {
+    throw new Error('A passphrase is required');
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+
+  return JSON.stringify({
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(ciphertext))
+  }, null, 2);
+}
+
+/**
+ * Decrypt an encrypted backup
+ * @param {string} text - Envelope JSON
+ * @param {string} passphrase - User passphrase
+ * @returns {Promise<string>} - Backup JSON
+ * @throws {BackupDecryptError} - Wrong passphrase, damaged file or unsupported version
+ */
+export async function decryptBackup(text, passphrase) {
+  let envelope;
+  try {
+    envelope = JSON.parse(text);
+  } catch {
+    throw new BackupDecryptError('This file is not an encrypted backup');
+  }
+
+  if (envelope?.format !== ENVELOPE_FORMAT) {
+    throw new BackupDecryptError('This file is not an encrypted backup');
+  }
+  if (envelope.version > ENVELOPE_VERSION) {
+    throw new BackupDecryptError('This backup was encrypted by a newer version of the extension');
+  }
+
+  let key;
+  let iv;
+  let data;
+  try {
+    key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+    iv = fromBase64(envelope.cipher.iv);
+    data = fromBase64(envelope.data);
+  } catch {
+    throw new BackupDecryptError('This encrypted backup is damaged');
+  }
+
+  try {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return new TextDecoder().decode(plaintext);
+  } catch {
+    // AES-GCM can't tell a wrong key from tampered data
+    throw new BackupDecryptError('Wrong passphrase, or the file was modified');
+  }
+}
@@ -0,0 +1,320 @@
+// Chunked chrome.storage.sync backend
+// Splits state into per-favorite, per-workspace and per-trash-entry keys so no item exceeds the 8 KB sync quota.
+// Fields only meaningful on this device (tab bindings, tab names, workspace windows) stay in chrome.storage.local.
+
+const KEY_PREFIX = 'state.v1:';
+const INDEX_KEY = `${KEY_PREFIX}index`;
+const META_KEY = `${KEY_PREFIX}meta`;
+const FAVORITE_PREFIX = `${KEY_PREFIX}fav:`;
+const WORKSPACE_PREFIX = `${KEY_PREFIX}ws:`;
+const TRASH_PREFIX = `${KEY_PREFIX}trash:`;
+
+// Device-local fields, kept in chrome.storage.local next to the synced state
+const DEVICE_KEY = `${KEY_PREFIX}device`;
+
+// Fallbacks match Chrome's documented limits
+const DEFAULT_QUOTA_BYTES = 102400;
+const DEFAULT_QUOTA_BYTES_PER_ITEM = 8192;
+const DEFAULT_MAX_ITEMS = 512;
+
+/**
+ * Thrown when state does not fit into chrome.storage.sync
+ */
+export class SyncQuotaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SyncQuotaError';
+  }
+}
+
+/**
+ * Size of a stored item as Chrome counts it (key + JSON value, in bytes)
+ */
+function itemSize(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+// Size quotas and write-rate quotas (MAX_WRITE_OPERATIONS_PER_MINUTE / _PER_HOUR)
+function isQuotaMessage(message = '') {
+  return /QUOTA_BYTES|MAX_ITEMS|MAX_WRITE_OPERATIONS_PER_(MINUTE|HOUR)/.test(message);
+}
+
+/**
+ * Split off the fields that only make sense on this device
+ * They're nulled rather than dropped, so the synced entries keep their key order.
+ * @param {Object} state - Full state
+ * @returns {Object} - { shared, device }
+ */
+function splitDeviceState(state) {
+  const device = { bindings: {}, windows: {}, tabAliases: state.tabAliases || {} };
+  const unbind = entry => {
+    if (entry.lastBoundTabId != null) {
+      device.bindings[entry.id] = { lastBoundTabId: entry.lastBoundTabId, lastBoundAt: entry.lastBoundAt };
+    }
+    return { ...entry, lastBoundTabId: null, lastBoundAt: null };
+  };
+
+  const workspaces = {};
+  Object.entries(state.workspaces || {}).forEach(([id, workspace]) => {
+    if (workspace.window) {
+      device.windows[id] = workspace.window;
+    }
+    workspaces[id] = { ...workspace, window: null, items: (workspace.items || []).map(unbind) };
+  });
+
+  const shared = { ...state, favorites: (state.favorites || []).map(unbind), workspaces };
+  if ('tabAliases' in state) {
+    shared.tabAliases = {};
+  }
+  return { shared, device };
+}
+
+/**
+ * Put this device's fields back into synced state
+ * Without device fields (state synced by older versions), the synced values are kept as they are.
+ */
+function mergeDeviceState(shared, device) {
+  if (!device) return shared;
+
+  const bind = entry => ({ ...entry, ...(device.bindings[entry.id] || { lastBoundTabId: null, lastBoundAt: null }) });
+  const workspaces = {};
+  Object.entries(shared.workspaces).forEach(([id, workspace]) => {
+    workspaces[id] = { ...workspace, window: device.windows[id] || null, items: (workspace.items || []).map(bind) };
+  });
+
+  return { ...shared, favorites: shared.favorites.map(bind), workspaces, tabAliases: device.tabAliases };
+}
+
+export class ChunkedSyncStore {
+  constructor(area = chrome.storage.sync, deviceArea = chrome.storage.local) {
+    this.area = area;
+    this.deviceArea = deviceArea;
+    this.items = null; // key -> value mirror of the state keys currently stored
+    this.device = undefined; // Mirror of the device-local fields (null when none are stored)
+  }
+
+  static isStateKey(key) {
+    return key.startsWith(KEY_PREFIX);
+  }
+
+  get quotaBytes() {
+    return this.area.QUOTA_BYTES || DEFAULT_QUOTA_BYTES;
+  }
+
+  get quotaBytesPerItem() {
+    return this.area.QUOTA_BYTES_PER_ITEM || DEFAULT_QUOTA_BYTES_PER_ITEM;
+  }
+
+  get maxItems() {
+    return this.area.MAX_ITEMS || DEFAULT_MAX_ITEMS;
+  }
+
+  /**
+   * Split state into storage items
+   * @param {Object} state - Full state
+   * @returns {Object} - key -> value
+   */
+  split(state) {
+    const { favorites = [], workspaces = {}, trash = [], ...meta } = state;
+    const items = {
+      [INDEX_KEY]: {
+        favorites: favorites.map(f => f.id),
+        workspaces: Object.keys(workspaces),
+        trash: trash.map(t => t.id)
+      },
+      [META_KEY]: meta
+    };
+
+    favorites.forEach(fav => {
+      items[FAVORITE_PREFIX + fav.id] = fav;
+    });
+    Object.entries(workspaces).forEach(([id, workspace]) => {
+      items[WORKSPACE_PREFIX + id] = workspace;
+    });
+    trash.forEach(entry => {
+      items[TRASH_PREFIX + entry.id] = entry;
+    });
+
+    return items;
+  }
+
+  /**
+   * Put state back together from storage items
+   * Entries listed in the index but not yet synced from another device are skipped
+   * @param {Object} items - key -> value
+   * @returns {Object|null} - Full state, or null if nothing is stored
+   */
+  assemble(items) {
+    const index = items[INDEX_KEY];
+    if (!index) return null;
+
+    const favorites = index.favorites
+      .map(id => items[FAVORITE_PREFIX + id])
+      .filter(Boolean);
+
+    const workspaces = {};
+    index.workspaces.forEach(id => {
+      const workspace = items[WORKSPACE_PREFIX + id];
+      if (workspace) {
+        workspaces[id] = workspace;
+      }
+    });
+
+    const trash = (index.trash || [])
+      .map(id => items[TRASH_PREFIX + id])
+      .filter(Boolean);
+
+    // Same key order as the state that was split (trash is last), so echoes of our own writes compare equal
+    return {
+      favorites,
+      workspaces,
+      ...(items[META_KEY] || {}),
+      trash
+    };
+  }
+
+  async loadItems() {
+    const all = await this.area.get(null);
+    this.items = {};
+    Object.entries(all).forEach(([key, value]) => {
+      if (ChunkedSyncStore.isStateKey(key)) {
+        this.items[key] = value;
+      }
+    });
+    return this.items;
+  }
+
+  async loadDevice() {
+    const result = await this.deviceArea.get([DEVICE_KEY]);
+    this.device = result[DEVICE_KEY] || null;
+    return this.device;
+  }
+
+  async read() {
+    const [items, device] = await Promise.all([this.loadItems(), this.loadDevice()]);
+    const shared = this.assemble(items);
+    return shared && mergeDeviceState(shared, device);
+  }
+
+  /**
+   * Write state, touching only the keys that changed
+   * @throws {SyncQuotaError} - If the state does not fit the sync quotas
+   */
+  async write(state) {
+    const { shared, device } = splitDeviceState(state);
+    const next = this.split(shared);
+    const previous = this.items || await this.loadItems();
+
+    let totalBytes = 0;
+    for (const [key, value] of Object.entries(next)) {
+      const size = itemSize(key, value);
+      if (size > this.quotaBytesPerItem) {
+        throw new SyncQuotaError(`${key} is ${size} bytes, over the ${this.quotaBytesPerItem} byte per-item quota`);
+      }
+      totalBytes += size;
+    }
+    if (totalBytes > this.quotaBytes) {
+      throw new SyncQuotaError(`State is ${totalBytes} bytes, over the ${this.quotaBytes} byte sync quota`);
+    }
+    if (Object.keys(next).length > this.maxItems) {
+      throw new SyncQuotaError(`State needs ${Object.keys(next).length} items, over the ${this.maxItems} item sync quota`);
+    }
+
+    const changed = {};
+    Object.entries(next).forEach(([key, value]) => {
+      if (JSON.stringify(previous[key]) !== JSON.stringify(value)) {
+        changed[key] = value;
+      }
+    });
+    const removed = Object.keys(previous).filter(key => !(key in next));
+
+    // Device-only updates leave the synced state alone; the revision bump by itself isn't worth a sync write
+    const changedKeys = Object.keys(changed);
+    if (changedKeys.length === 1 && changedKeys[0] === META_KEY && removed.length === 0 && previous[META_KEY] &&
+        JSON.stringify({ ...next[META_KEY], revision: previous[META_KEY].revision }) === JSON.stringify(previous[META_KEY])) {
+      delete changed[META_KEY];
+      next[META_KEY] = previous[META_KEY];
+    }
+
+    // Device fields change with every tab switch; local storage has no write-rate quota
+    if (JSON.stringify(this.device) !== JSON.stringify(device)) {
+      await this.deviceArea.set({ [DEVICE_KEY]: device });
+      this.device = device;
+    }
+
+    try {
+      if (Object.keys(changed).length > 0) {
+        await this.area.set(changed);
+      }
+      if (removed.length > 0) {
+        await this.area.remove(removed);
+      }
+    } catch (error) {
+      // Other devices may have filled the quota since our last read
+      this.items = null;
+      if (isQuotaMessage(error?.message)) {
+        throw new SyncQuotaError(error.message);
+      }
+      throw error;
+    }
+
+    this.items = next;
+  }
+
+  /**
+   * Apply a chrome.storage.onChanged batch (possibly partial, from another device)
+   * Device fields written by another context of this device arrive in the local area.
+   * @param {Object} changes - Changed keys
+   * @param {string} areaName - Area the changes were made in
+   * @returns {Object|null} - Reassembled state, or null if no state keys changed
+   */
+  applyChanges(changes, areaName = 'sync') {
+    if (areaName === 'local') {
+      if (!changes[DEVICE_KEY] || !this.items) return null;
+      this.device = changes[DEVICE_KEY].newValue || null;
+      const shared = this.assemble(this.items);
+      return shared && mergeDeviceState(shared, this.device);
+    }
+
+    const stateKeys = Object.keys(changes).filter(ChunkedSyncStore.isStateKey);
+    if (stateKeys.length === 0 || !this.items) return null;
+
+    stateKeys.forEach(key => {
+      if (changes[key].newValue === undefined) {
+        delete this.items[key];
+      } else {
+        this.items[key] = changes[key].newValue;
+      }
+    });
+
+    const shared = this.assemble(this.items);
+    return shared && mergeDeviceState(shared, this.device ?? null);
+  }
+
+  async clear() {
+    const items = this.items || await this.loadItems();
+    const keys = Object.keys(items);
+    if (keys.length > 0) {
+      await this.area.remove(keys);
+    }
+    this.items = {};
+    await this.clearDevice();
+  }
+
+  // Drop this device's fields (the synced state stays for other devices)
+  async clearDevice() {
+    await this.deviceArea.remove(DEVICE_KEY);
+    this.device = null;
+  }
+
+  /**
+   * Sync quota usage (for Settings)
+   */
+  async getUsage() {
+    const bytesInUse = await this.area.getBytesInUse(null);
+    return {
+      bytesInUse,
+      quotaBytes: this.quotaBytes
+    };
+  }
+}
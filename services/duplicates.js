@@ -0,0 +1,51 @@
+// Duplicate Tabs - tabs sharing a canonical URL (TabCache.byUrl), closing extras and the
+// optional guard that reuses an open tab instead of letting a new tab duplicate it
+
+import { canonicalizeUrl, compilePattern, isMatchUrlPattern } from "./tab-matcher.js";
+
+/**
+ * Whether the guard leaves a URL alone
+ * Entries are domains (covering their subdomains) or URL patterns (globs, /regex/).
+ * @param {string} url - URL the new tab navigated to
+ * @param {string[]} allowlist - preferences.duplicateGuardAllowlist
+ * @param {Object} options - Passed to canonicalizeUrl
+ */
+export function isAllowlisted(url, allowlist = [], options = {}) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return false;
+  }
+
+  return allowlist.some(entry => {
+    if (isMatchUrlPattern(entry)) {
+      const { regex } = compilePattern(entry);
+      return regex ? regex.test(canonicalizeUrl(url, options)) : false;
+    }
+    const domain = entry.trim().toLowerCase().replace(/^\*\./, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Most recently used other tab with the same canonical URL
+ * @param {TabCache} tabCache
+ * @param {Object} tab - Tab that just navigated
+ * @returns {Object|null}
+ */
+export function findDuplicateOf(tabCache, tab) {
+  const others = tabCache.findByUrl(tab.url).filter(other => other.id !== tab.id);
+  if (others.length === 0) return null;
+  return others.sort((a, b) => tabCache.getLastActivated(b.id) - tabCache.getLastActivated(a.id))[0];
+}
+
+/**
+ * Tabs to close so each group keeps only its most recently used tab
+ * Pinned tabs are never closed.
+ * @param {Object[]} groups - TabCache.getDuplicates() groups (most recent tab first)
+ * @returns {number[]} - Tab IDs
+ */
+export function duplicatesToClose(groups) {
+  return groups.flatMap(group => group.tabs.slice(1).filter(tab => !tab.pinned).map(tab => tab.id));
+}
@@ -0,0 +1,215 @@
+// Migration Registry - the single list of state migrations
+// Shared by the service worker and the side panel through Storage.runMigrations (which adds the lock,
+// the pre-migration snapshot and the rollback); everything here is pure.
+
+import { DEFAULT_TRASH_RETENTION_DAYS } from "./trash.js";
+import { normalizeUrlRules, validateUrlRules } from "./url-rules.js";
+
+/**
+ * Thrown when a migration fails or produces invalid state
+ */
+export class MigrationError extends Error {
+  constructor(message, { version = null, errors = [] } = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.version = version;
+    this.errors = errors;
+  }
+}
+
+const DEFAULT_TAB_GROUPING = {
+  isGrouped: false,
+  bannerDismissed: false,
+  dismissedTooltipShown: false
+};
+
+// Checks every migrated state must pass, whatever the version
+function validateCore(state) {
+  const errors = [];
+  if (!Array.isArray(state.favorites)) errors.push('favorites must be a list');
+  if (typeof state.workspaces !== 'object' || state.workspaces === null || Array.isArray(state.workspaces)) {
+    errors.push('workspaces must be an object');
+  }
+  if (typeof state.preferences !== 'object' || state.preferences === null) errors.push('preferences must be an object');
+  return errors;
+}
+
+/**
+ * Registered migrations, in order
+ * Each has a version (the migrationVersion it produces), a pure migrate(state) and a validate(state)
+ * returning a list of problems with the migrated state.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Enable Open Tabs list by default for existing users',
+    migrate(state) {
+      return {
+        ...state,
+        preferences: {
+          ...state.preferences,
+          showOpenTabs: true
+        },
+        tabAliases: state.tabAliases || {}
+      };
+    },
+    validate(state) {
+      return state.preferences?.showOpenTabs === true ? [] : ['preferences.showOpenTabs was not enabled'];
+    }
+  },
+  {
+    version: 2,
+    description: 'Add tab grouping state',
+    migrate(state) {
+      return {
+        ...state,
+        // Keep anything an older side panel already patched in
+        tabGrouping: {
+          ...DEFAULT_TAB_GROUPING,
+          ...(state.tabGrouping || {})
+        }
+      };
+    },
+    validate(state) {
+      const grouping = state.tabGrouping || {};
+      return Object.keys(DEFAULT_TAB_GROUPING)
+        .filter(key => typeof grouping[key] !== 'boolean')
+        .map(key => `tabGrouping.${key} must be true or false`);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add trash for soft-deleted entries',
+    migrate(state) {
+      return {
+        ...state,
+        preferences: {
+          ...state.preferences,
+          trashRetentionDays: state.preferences.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS
+        },
+        trash: state.trash || []
+      };
+    },
+    validate(state) {
+      const errors = [];
+      if (!Array.isArray(state.trash)) errors.push('trash must be a list');
+      if (!(state.preferences.trashRetentionDays > 0)) errors.push('preferences.trashRetentionDays must be a positive number');
+      return errors;
+    }
+  },
+  {
+    version: 4,
+    description: 'Key tab aliases by a stable alias ID instead of the tab ID',
+    migrate(state) {
+      const tabAliases = {};
+      Object.entries(state.tabAliases || {}).forEach(([tabId, alias]) => {
+        if (typeof alias !== 'string') return;
+        const id = crypto.randomUUID();
+        // Identity is unknown until the first sync sees the tab (or sweeps the alias)
+        tabAliases[id] = { id, alias, tabId: Number(tabId), url: null, windowOrdinal: null, index: null, missedSyncs: 0 };
+      });
+      return { ...state, tabAliases };
+    },
+    validate(state) {
+      return Object.values(state.tabAliases)
+        .filter(alias => typeof alias?.alias !== 'string' || !alias.id)
+        .map(() => 'tabAliases entries must have an id and alias');
+    }
+  },
+  {
+    version: 5,
+    description: 'Mark existing match patterns as regular expressions (bare patterns are now globs)',
+    migrate(state) {
+      const wrap = entry => {
+        const pattern = entry.matchPattern;
+        if (typeof pattern !== 'string' || !pattern || /^\/.+\/[a-z]*$/s.test(pattern)) return entry;
+        return { ...entry, matchPattern: `/${pattern}/` };
+      };
+
+      const workspaces = {};
+      Object.entries(state.workspaces).forEach(([id, workspace]) => {
+        workspaces[id] = { ...workspace, items: workspace.items.map(wrap) };
+      });
+      return { ...state, favorites: state.favorites.map(wrap), workspaces };
+    },
+    validate(state) {
+      const entries = [...state.favorites, ...Object.values(state.workspaces).flatMap(ws => ws.items)];
+      return entries
+        .filter(entry => entry.matchPattern != null && typeof entry.matchPattern !== 'string')
+        .map(entry => `matchPattern of ${entry.id} must be text`);
+    }
+  },
+  {
+    version: 6,
+    description: 'Add URL canonicalization rules',
+    migrate(state) {
+      // Defaults keep the tracking parameters that used to be hard-coded
+      return { ...state, urlRules: normalizeUrlRules(state.urlRules) };
+    },
+    validate(state) {
+      return validateUrlRules(state.urlRules);
+    }
+  }
+];
+
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Migrations that haven't run on a state yet
+ */
+export function pendingMigrations(state) {
+  const currentVersion = state.migrationVersion || 0;
+  return MIGRATIONS.filter(migration => migration.version > currentVersion);
+}
+
+/**
+ * Run pending migrations in memory, validating after each step
+ * Nothing is written; use this to preview a migration or before committing one.
+ * @param {Object} state - State to migrate
+ * @returns {Object} - { state, steps: [{ version, description, errors }], error: MigrationError|null }
+ *   On error, state is the input state (nothing partially applied).
+ */
+export function dryRunMigrations(state) {
+  const steps = [];
+  let migrated = state;
+
+  for (const migration of pendingMigrations(state)) {
+    let errors;
+    try {
+      const next = { ...migration.migrate(structuredClone(migrated)), migrationVersion: migration.version };
+      errors = [...validateCore(next), ...migration.validate(next)];
+      if (errors.length === 0) {
+        migrated = next;
+      }
+    } catch (error) {
+      errors = [error.message];
+    }
+
+    steps.push({ version: migration.version, description: migration.description, errors });
+
+    if (errors.length > 0) {
+      return {
+        state,
+        steps,
+        error: new MigrationError(`Migration ${migration.version} (${migration.description}) failed: ${errors.join('; ')}`, {
+          version: migration.version,
+          errors
+        })
+      };
+    }
+  }
+
+  return { state: migrated, steps, error: null };
+}
+
+/**
+ * Migrate a state in memory (imports, snapshots)
+ * @throws {MigrationError}
+ */
+export function applyMigrations(state) {
+  const result = dryRunMigrations(state);
+  if (result.error) {
+    throw result.error;
+  }
+  return result.state;
+}
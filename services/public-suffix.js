@@ -0,0 +1,81 @@
+// Public Suffixes - registrable domains ("sites") from the bundled Public Suffix List
+// acme.slack.com and app.slack.com are the same site (slack.com); foo.co.uk and bar.co.uk are not,
+// and neither are two github.io pages.
+
+import { PUBLIC_SUFFIX_RULES } from "./public-suffix-list.js";
+
+const IPV4 = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+let rules = null; // Parsed on first use: { suffixes, wildcards, exceptions }
+
+function loadRules() {
+  if (rules) return rules;
+
+  rules = { suffixes: new Set(), wildcards: new Set(), exceptions: new Set() };
+  PUBLIC_SUFFIX_RULES.split('\n').forEach(line => {
+    if (!line) return;
+    if (line.startsWith('!')) {
+      rules.exceptions.add(line.slice(1));
+    } else if (line.startsWith('*.')) {
+      rules.wildcards.add(line.slice(2)); // Stored as the parent: "*.ck" -> "ck"
+    } else {
+      rules.suffixes.add(line);
+    }
+  });
+  return rules;
+}
+
+function normalizeHostname(hostname) {
+  return (hostname || '').toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Public suffix of a hostname (com, co.uk, github.io)
+ * Unlisted top-level domains count as suffixes, like the list's implicit "*" rule.
+ * @returns {string|null} - null for IP addresses and empty hostnames
+ */
+export function publicSuffix(hostname) {
+  const host = normalizeHostname(hostname);
+  if (!host || IPV4.test(host) || host.includes(':')) return null;
+
+  const { suffixes, wildcards, exceptions } = loadRules();
+  const labels = host.split('.');
+
+  // Leftmost match is the longest suffix
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (exceptions.has(candidate)) {
+      return labels.slice(i + 1).join('.');
+    }
+    if (suffixes.has(candidate) || (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.')))) {
+      return candidate;
+    }
+  }
+  return labels[labels.length - 1];
+}
+
+/**
+ * Registrable domain: the public suffix plus one label (acme.slack.com -> slack.com, a.b.co.uk -> b.co.uk)
+ * @returns {string|null} - null for IP addresses, single-label hosts (localhost) and bare suffixes
+ */
+export function registrableDomain(hostname) {
+  const host = normalizeHostname(hostname);
+  const suffix = publicSuffix(host);
+  if (!suffix || host === suffix) return null;
+
+  const rest = host.slice(0, -(suffix.length + 1)).split('.');
+  return `${rest[rest.length - 1]}.${suffix}`;
+}
+
+/**
+ * Site of a URL: its registrable domain, or the hostname when it has none (localhost, IPs)
+ * @returns {string|null} - null for URLs that don't parse
+ */
+export function siteOf(url) {
+  try {
+    const { hostname } = new URL(url);
+    return registrableDomain(hostname) || normalizeHostname(hostname) || null;
+  } catch {
+    return null;
+  }
+}
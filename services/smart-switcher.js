@@ -1,127 +1,369 @@
-import { MATCH_MODE, matchesUrl, rankMatches } from "./tab-matcher.js";
+import { MATCH_MODE, matchesTarget, isMatchUrlPattern, explainRanking, targetScope } from "./tab-matcher.js";
+import { browserSession } from "./workspace-windows.js";
 
 const MULTI_WINDOW_BEHAVIOR = {
   FOCUS: 'focus',        // Bring window to front
   ADOPT: 'adopt'         // Move tab to current window
 };
 
+export const TARGET_KIND = {
+  FAVORITE: 'favorite',
+  WORKSPACE_ITEM: 'workspace-item'
+};
+
+/**
+ * Favorites and workspace items as switch targets
+ * A target is the favorite/item itself plus { kind, workspaceId } so bindings can be written back.
+ */
+export function switchTargets(state) {
+  if (!state) return [];
+
+  const favorites = (state.favorites || []).map(fav => ({ ...fav, kind: TARGET_KIND.FAVORITE }));
+  const items = Object.values(state.workspaces || {}).flatMap(workspace =>
+    workspace.items.map(item => ({ ...item, kind: TARGET_KIND.WORKSPACE_ITEM, workspaceId: workspace.id }))
+  );
+  return [...favorites, ...items];
+}
+
+/**
+ * Key of a switch target in TabCache's reverse index and the panel's indicator stream ("favorite:<id>")
+ */
+export function targetKey(target) {
+  return `${target.kind}:${target.id}`;
+}
+
+/**
+ * Look up a single switch target
+ * @param {Object} state - Current state
+ * @param {string} kind - TARGET_KIND
+ * @param {string} id - Favorite or item ID
+ * @returns {Object|null}
+ */
+export function findSwitchTarget(state, kind, id) {
+  return switchTargets(state).find(target => target.kind === kind && target.id === id) || null;
+}
+
+// URL canonicalization settings from the state
+function canonicalOptions(state) {
+  return { rules: state.urlRules, stripTracking: state.preferences?.stripTrackingParams !== false };
+}
+
+function defaultMatchMode(state) {
+  return state?.preferences?.defaultMatchMode || MATCH_MODE.PREFIX;
+}
+
+function isInternalUrl(url) {
+  return !!url && (url.startsWith('chrome://') || url.startsWith('edge://'));
+}
+
 /**
  * Smart Tab Switcher
  * Implements "focus-or-open" logic with binding cache and cycle detection
+ * for favorites and workspace items (see switchTargets)
  */
 export class SmartSwitcher {
-  constructor(tabCache, getState, updateFavorite) {
+  constructor(tabCache, getState, saveBindings, saveWorkspaceWindow, relinkWorkspaceWindow) {
     this.tabCache = tabCache;
     this.getState = getState;           // Function to get current state
-    this.updateFavorite = updateFavorite; // Function to update favorite
-    this.recentClicks = new Map();      // favoriteId -> timestamp for cycle detection
+    this.saveBindings = saveBindings;   // ([{ target, lastBoundTabId, lastBoundAt }]) => Promise, one write for all
+    this.saveWorkspaceWindow = saveWorkspaceWindow; // (workspaceId, windowId) => Promise
+    this.relinkWorkspaceWindow = relinkWorkspaceWindow; // workspaceId => Promise<windowId|null>
+    this.recentClicks = new Map();      // targetId -> timestamp for cycle detection
+    this.openedTabIds = new Set();      // Tabs opened on purpose (the duplicate guard lets them be)
+    this.discardOnLoad = new Set();     // Background tabs to discard once their URL commits (see openAll)
   }
 
   /**
    * Main entry point: focus existing tab or open new
+   * @param {Object} target - Favorite or workspace item (from findSwitchTarget)
+   * @param {Object} modifiers - { shift, cmd, alt }
+   * @param {Object} options - { mode: open behavior override or 'home', windowId: window the click came from }
+   * @returns {Promise<Object>} - { action: 'created' | 'focused' | 'cycled' | 'home', tabId, url, matchCount }
    */
-  async switch(favorite, modifiers = {}) {
+  async switch(target, modifiers = {}, options = {}) {
     const { shift = false, cmd = false, alt = false } = modifiers;
+    const currentWindowId = options.windowId ?? (await chrome.windows.getLastFocused()).id;
+    const openBehavior = options.mode || target.openBehavior || this.getState()?.preferences?.openBehavior;
+
+    // Alt+Shift+Click or "Back to home": reset the tab to the target's own URL
+    if (options.mode === 'home' || (alt && shift)) {
+      return this.goHome(target, currentWindowId);
+    }
+
+    // Workspace tabs open in their workspace's own window (favorites belong to no workspace and smart-switch)
+    if (openBehavior === 'workspace-window' && target.kind === TARGET_KIND.WORKSPACE_ITEM) {
+      return this.openInWorkspaceWindow(target, modifiers);
+    }
+
+    // Plain open behaviors skip the resolver
+    if (openBehavior === 'new-tab') {
+      const tab = await this.openNew(target.url, { background: cmd, windowId: currentWindowId });
+      await this.updateBinding(target, tab.id);
+      return { action: 'created', tabId: tab.id, url: target.url, matchCount: 0 };
+    }
+    if (openBehavior === 'same-tab') {
+      const tab = await this.openInActiveTab(target.url, currentWindowId);
+      await this.updateBinding(target, tab.id);
+      return { action: 'created', tabId: tab.id, url: target.url, matchCount: 0 };
+    }
 
     // Shift+Click: Always open new (bypass resolver)
     if (shift) {
-      const tab = await this.openNew(favorite.url, { background: false });
-      await this.updateBinding(favorite.id, tab.id);
-      return { action: 'created', tabId: tab.id, url: favorite.url };
+      const tab = await this.openNew(target.url, { background: false, windowId: currentWindowId });
+      await this.updateBinding(target, tab.id);
+      return { action: 'created', tabId: tab.id, url: target.url, matchCount: 0 };
     }
 
     // Find matching tabs
-    const currentWindow = await chrome.windows.getCurrent();
-    let matches = this.findMatches(favorite, currentWindow.id);
+    let matches = this.findMatches(target, currentWindowId);
 
     // Check binding cache first (fast path)
-    if (favorite.lastBoundTabId) {
-      const cachedTab = this.tabCache.get(favorite.lastBoundTabId);
-      if (cachedTab && this.isValidBinding(cachedTab, favorite)) {
+    // A favorite's tab stays its tab even after navigating away (drifted, see goHome)
+    if (target.lastBoundTabId) {
+      const cachedTab = this.tabCache.get(target.lastBoundTabId);
+      if (cachedTab && (target.kind === TARGET_KIND.FAVORITE || this.isValidBinding(cachedTab, target))) {
         // Move cached tab to front of matches
         matches = [cachedTab, ...matches.filter(t => t.id !== cachedTab.id)];
       } else {
         // Cache invalid, clear it
-        await this.clearBinding(favorite.id);
+        await this.clearBinding(target);
       }
     }
 
     // No matches: Open new
     if (matches.length === 0) {
-      const tab = await this.openNew(favorite.url, { background: cmd });
-      await this.updateBinding(favorite.id, tab.id);
-      return { action: 'created', tabId: tab.id, url: favorite.url };
+      const tab = await this.openNew(target.url, { background: cmd, windowId: currentWindowId });
+      await this.updateBinding(target, tab.id);
+      return { action: 'created', tabId: tab.id, url: target.url, matchCount: 0 };
     }
 
     // Alt+Click or cycle-on-reclick: Cycle through matches
-    const shouldCycle = alt || this.detectReclick(favorite.id);
+    const shouldCycle = alt || this.detectReclick(target.id);
     if (shouldCycle && matches.length > 1) {
-      const nextMatch = this.getNextMatch(matches, currentWindow.id);
-      await this.focusTab(nextMatch, favorite);
-      await this.updateBinding(favorite.id, nextMatch.id);
-      return { action: 'cycled', tabId: nextMatch.id, url: nextMatch.url };
+      const nextMatch = this.getNextMatch(matches, currentWindowId);
+      const windowId = await this.focusTab(nextMatch, target, currentWindowId);
+      await this.updateBinding(target, nextMatch.id);
+      return {
+        action: 'cycled',
+        tabId: nextMatch.id,
+        url: nextMatch.url,
+        matchCount: matches.length,
+        matchIndex: this.cycleOrder(matches).indexOf(nextMatch),
+        windowId
+      };
     }
 
     // Focus best match
     const bestMatch = matches[0];
-    await this.focusTab(bestMatch, favorite);
-    await this.updateBinding(favorite.id, bestMatch.id);
+    const windowId = await this.focusTab(bestMatch, target, currentWindowId);
+    await this.updateBinding(target, bestMatch.id);
+
+    return { action: 'focused', tabId: bestMatch.id, url: bestMatch.url, matchCount: matches.length, matchIndex: 0, windowId };
+  }
+
+  /**
+   * Send a target's tab back to its home URL (target.url) and focus it
+   * Uses the bound tab, which for favorites stays bound however far it has wandered, else the
+   * best match; opens the home URL when neither exists.
+   */
+  async goHome(target, currentWindowId) {
+    const boundTab = target.lastBoundTabId ? this.tabCache.get(target.lastBoundTabId) : null;
+    const tab = boundTab || this.findMatches(target, currentWindowId)[0];
+
+    if (!tab) {
+      const created = await this.openNew(target.url, { windowId: currentWindowId });
+      await this.updateBinding(target, created.id);
+      return { action: 'created', tabId: created.id, url: target.url, matchCount: 0 };
+    }
+
+    await this.focusTab(tab, target, currentWindowId);
+    await chrome.tabs.update(tab.id, { url: target.url });
+    await this.updateBinding(target, tab.id);
+    return { action: 'home', tabId: tab.id, url: target.url, matchCount: 1 };
+  }
+
+  /**
+   * 'workspace-window' behavior: focus the workspace's window, or create it, and show the item there
+   * A matching tab in another window moves into the workspace window; Shift+Click opens a new tab there.
+   */
+  async openInWorkspaceWindow(target, modifiers = {}) {
+    const windowId = await this.workspaceWindowId(target.workspaceId);
+
+    if (windowId === null) {
+      const window = await chrome.windows.create({ url: target.url, focused: true });
+      const [tab] = window.tabs;
+      this.tabCache.add(tab);
+      this.openedTabIds.add(tab.id);
+      await this.saveWorkspaceWindow(target.workspaceId, window.id);
+      await this.updateBinding(target, tab.id);
+      return { action: 'created', tabId: tab.id, url: target.url, matchCount: 0, windowId: window.id };
+    }
+
+    // Ranked as if clicked from the workspace window, so tabs already there win
+    const matches = modifiers.shift ? [] : this.findMatches(target, windowId);
+    let tab = matches[0];
+    if (tab && tab.windowId !== windowId) {
+      await chrome.tabs.move(tab.id, { windowId, index: -1 });
+    } else if (!tab) {
+      tab = await this.openNew(target.url, { windowId });
+    }
+
+    await chrome.windows.update(windowId, { focused: true });
+    await chrome.tabs.update(tab.id, { active: true });
+    await this.updateBinding(target, tab.id);
+    return {
+      action: matches.length > 0 ? 'focused' : 'created',
+      tabId: tab.id,
+      url: tab.url || target.url,
+      matchCount: matches.length,
+      windowId
+    };
+  }
 
-    return { action: 'focused', tabId: bestMatch.id, url: bestMatch.url };
+  /**
+   * Open every item of a workspace, reusing tabs that are already open (bound, not focused)
+   * 'new-window' opens the missing items in a new window, which becomes the workspace's window;
+   * 'background' opens them as discarded tabs that load when first visited.
+   * @param {Object[]} targets - The workspace's items (from switchTargets)
+   * @param {Object} options - { where: 'current' | 'new-window' | 'background', windowId: window the click came from }
+   * @returns {Promise<Object>} - { opened, reused, windowId: window the missing items opened in }
+   */
+  async openAll(targets, { where = 'current', windowId } = {}) {
+    let opened = 0;
+    let reused = 0;
+    let newWindowId = null;
+    const bindings = []; // Saved together (one storage write) once the tabs are open
+    const bind = (target, tabId) => bindings.push({ target, lastBoundTabId: tabId, lastBoundAt: Date.now() });
+
+    try {
+      for (const target of targets) {
+        const [match] = this.findMatches(target, newWindowId ?? windowId);
+        if (match) {
+          bind(target, match.id);
+          reused++;
+          continue;
+        }
+
+        let tab;
+        if (where === 'new-window' && newWindowId === null) {
+          const window = await chrome.windows.create({ url: target.url, focused: true });
+          [tab] = window.tabs;
+          newWindowId = window.id;
+          this.tabCache.add(tab);
+          this.openedTabIds.add(tab.id);
+        } else {
+          tab = await this.openNew(target.url, { background: true, windowId: newWindowId ?? windowId });
+          if (where === 'background') {
+            this.discardOnLoad.add(tab.id);
+          }
+        }
+        bind(target, tab.id);
+        opened++;
+      }
+    } finally {
+      if (bindings.length > 0) {
+        await this.saveBindings(bindings);
+      }
+    }
+
+    if (newWindowId !== null) {
+      await this.saveWorkspaceWindow(targets[0].workspaceId, newWindowId);
+    }
+    return { opened, reused, windowId: newWindowId ?? windowId };
+  }
+
+  /**
+   * ID of a workspace's window, or null when it has none or the window was closed
+   * Links made before the browser restarted are matched to a live window by its tabs.
+   */
+  async workspaceWindowId(workspaceId) {
+    const link = this.getState()?.workspaces?.[workspaceId]?.window;
+    if (!link) return null;
+    if (link.session !== await browserSession()) {
+      return this.relinkWorkspaceWindow(workspaceId);
+    }
+    try {
+      await chrome.windows.get(link.windowId);
+      return link.windowId;
+    } catch {
+      return null;
+    }
   }
 
   /**
-   * Find all tabs matching this favorite
+   * Find all tabs matching this target (its URL or any of its extra match URLs), best first
    */
-  findMatches(favorite, currentWindowId) {
+  findMatches(target, currentWindowId) {
+    return this.explainMatches(target, currentWindowId).map(({ tab }) => tab);
+  }
+
+  /**
+   * Matching tabs, best first, with why each one ranks where it does (see explainRanking)
+   */
+  explainMatches(target, currentWindowId) {
     const state = this.getState();
     if (!state) return []; // Guard against null state
 
-    const { url, matchMode, matchPattern } = favorite;
-
     // Use global default if favorite doesn't specify
-    const effectiveMode = matchMode || state?.preferences?.defaultMatchMode || MATCH_MODE.PREFIX;
+    const defaultMode = defaultMatchMode(state);
 
-    // Query all tabs
-    const allTabs = this.tabCache.getAll();
+    // Tabs on the target's hosts or site (all tabs for patterns)
+    const candidates = this.tabCache.getCandidates(targetScope(target, defaultMode));
 
     // Filter by match mode
-    const matches = allTabs.filter(tab => {
+    const matches = candidates.filter(tab => {
       // Skip chrome:// and edge:// URLs
-      if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('edge://')) {
+      if (isInternalUrl(tab.url)) {
         return false;
       }
-      return matchesUrl(tab.url, url, effectiveMode, matchPattern);
+      return matchesTarget(tab.url, target, defaultMode, canonicalOptions(state));
     });
 
-    // Rank by priority
-    return rankMatches(matches, currentWindowId, url, effectiveMode);
+    // Rank by URL closeness, window and most recent use
+    return explainRanking(matches, {
+      urls: [target.url, ...(target.matchUrls || []).filter(entry => !isMatchUrlPattern(entry))],
+      currentWindowId,
+      lastActivated: tab => this.tabCache.getLastActivated(tab.id),
+      canonicalOptions: canonicalOptions(state)
+    });
   }
 
   /**
    * Check if cached binding is still valid
    */
-  isValidBinding(tab, favorite) {
+  isValidBinding(tab, target) {
     if (!tab || !tab.url) return false;
 
     // Skip chrome:// URLs
-    if (tab.url.startsWith('chrome://') || tab.url.startsWith('edge://')) {
+    if (isInternalUrl(tab.url)) {
       return false;
     }
 
     const state = this.getState();
     if (!state) return false; // Guard against null state
 
-    const effectiveMode = favorite.matchMode || state?.preferences?.defaultMatchMode || MATCH_MODE.PREFIX;
+    // Check if tab still matches the target (extra match URLs included)
+    return matchesTarget(tab.url, target, defaultMatchMode(state), canonicalOptions(state));
+  }
 
-    // Check if tab still matches favorite
-    return matchesUrl(tab.url, favorite.url, effectiveMode, favorite.matchPattern);
+  /**
+   * Matching rules for TabCache's reverse index (the same ones findMatches uses)
+   */
+  targetMatcher() {
+    return {
+      matches: (tabUrl, target) => {
+        const state = this.getState();
+        if (!state || isInternalUrl(tabUrl)) return false;
+        return matchesTarget(tabUrl, target, defaultMatchMode(state), canonicalOptions(state));
+      },
+      scope: target => targetScope(target, defaultMatchMode(this.getState()))
+    };
   }
 
   /**
    * Detect if this is a re-click (for cycling)
    */
-  detectReclick(favoriteId) {
+  detectReclick(targetId) {
     const state = this.getState();
     if (!state || !state.preferences) return false; // Guard against null state
 
@@ -129,9 +371,9 @@ export class SmartSwitcher {
     if (!prefs.enableCycleOnReclick) return false;
 
     const now = Date.now();
-    const lastClick = this.recentClicks.get(favoriteId);
+    const lastClick = this.recentClicks.get(targetId);
 
-    this.recentClicks.set(favoriteId, now);
+    this.recentClicks.set(targetId, now);
 
     if (!lastClick) return false;
 
@@ -140,123 +382,134 @@ export class SmartSwitcher {
     return elapsed < cooldown;
   }
 
+  /**
+   * Matches in tab strip order, for cycling
+   * (MRU order changes with every focus, so cycling through it would bounce between the last two tabs)
+   */
+  cycleOrder(matches) {
+    return [...matches].sort((a, b) => (a.windowId - b.windowId) || (a.index - b.index));
+  }
+
   /**
    * Get next match in cycle (round-robin)
    */
   getNextMatch(matches, currentWindowId) {
+    const cycle = this.cycleOrder(matches);
+
     // Find currently active tab in matches
-    const activeIndex = matches.findIndex(t => t.active && t.windowId === currentWindowId);
+    const activeIndex = cycle.findIndex(t => t.active && t.windowId === currentWindowId);
 
     if (activeIndex === -1) {
-      return matches[0]; // None active, return first
+      return matches[0]; // None active, return best match
     }
 
     // Return next in cycle (wrap around)
-    return matches[(activeIndex + 1) % matches.length];
+    return cycle[(activeIndex + 1) % cycle.length];
   }
 
   /**
    * Focus a tab (with window handling)
+   * A tab in another window is focused there or moved here, per multiWindowBehavior.
+   * @returns {Promise<number>} - ID of the window the tab ends up in
    */
-  async focusTab(tab, favorite) {
+  async focusTab(tab, target, currentWindowId) {
     const state = this.getState();
     if (!state || !state.preferences) {
       // If no state, just focus the tab in current window
       await chrome.tabs.update(tab.id, { active: true });
-      return;
+      return tab.windowId;
     }
 
     const prefs = state.preferences;
-    const multiWindowBehavior = favorite.multiWindowBehavior || prefs.multiWindowBehavior || MULTI_WINDOW_BEHAVIOR.FOCUS;
-
-    const currentWindow = await chrome.windows.getCurrent();
+    const multiWindowBehavior = target.multiWindowBehavior || prefs.multiWindowBehavior || MULTI_WINDOW_BEHAVIOR.FOCUS;
 
-    if (tab.windowId !== currentWindow.id) {
+    if (tab.windowId !== currentWindowId) {
       if (multiWindowBehavior === MULTI_WINDOW_BEHAVIOR.FOCUS) {
         // Bring window to front
         await chrome.windows.update(tab.windowId, { focused: true });
       } else if (multiWindowBehavior === MULTI_WINDOW_BEHAVIOR.ADOPT) {
         // Move tab to current window
         await chrome.tabs.move(tab.id, {
-          windowId: currentWindow.id,
+          windowId: currentWindowId,
           index: -1  // Append to end
         });
+        await chrome.tabs.update(tab.id, { active: true });
+        return currentWindowId;
       }
     }
 
     // Activate the tab
     await chrome.tabs.update(tab.id, { active: true });
+    return tab.windowId;
   }
 
   /**
    * Open new tab
    */
   async openNew(url, options = {}) {
-    const { background = false } = options;
-    const currentWindow = await chrome.windows.getCurrent();
+    const { background = false, windowId } = options;
 
     const tab = await chrome.tabs.create({
       url,
       active: !background,
-      windowId: currentWindow.id
+      windowId
     });
 
     // Immediately add to cache with correct URL
     // (Don't wait for onCreated/onUpdated events which may have wrong URL initially)
     this.tabCache.add(tab);
+    this.openedTabIds.add(tab.id);
 
     return tab;
   }
 
+  /**
+   * Load a URL in the active tab of a window (opens a new tab if the window has none)
+   */
+  async openInActiveTab(url, windowId) {
+    const [activeTab] = await chrome.tabs.query({ active: true, windowId });
+    if (!activeTab) {
+      return this.openNew(url, { windowId });
+    }
+    return chrome.tabs.update(activeTab.id, { url });
+  }
+
   /**
    * Update binding cache
    */
-  async updateBinding(favoriteId, tabId) {
-    await this.updateFavorite(favoriteId, {
-      lastBoundTabId: tabId,
-      lastBoundAt: Date.now()
-    });
+  async updateBinding(target, tabId) {
+    await this.saveBindings([{ target, lastBoundTabId: tabId, lastBoundAt: Date.now() }]);
   }
 
   /**
-   * Clear binding cache for a favorite
+   * Clear binding cache for a target
    */
-  async clearBinding(favoriteId) {
-    await this.updateFavorite(favoriteId, {
-      lastBoundTabId: null,
-      lastBoundAt: null
-    });
+  async clearBinding(target) {
+    await this.saveBindings([{ target, lastBoundTabId: null, lastBoundAt: null }]);
   }
 
   /**
    * Clear bindings for a specific tab (when tab is closed)
    */
   async clearBindingsForTab(tabId) {
-    const state = this.getState();
-    if (!state || !state.favorites) return; // Guard against null state
-
-    const favorites = state.favorites;
-
-    for (const fav of favorites) {
-      if (fav.lastBoundTabId === tabId) {
-        await this.clearBinding(fav.id);
-      }
+    const bound = switchTargets(this.getState()).filter(target => target.lastBoundTabId === tabId);
+    if (bound.length > 0) {
+      await this.saveBindings(bound.map(target => ({ target, lastBoundTabId: null, lastBoundAt: null })));
     }
   }
 
   /**
    * Revalidate bindings for a tab (when URL changes)
+   * Favorites keep their tab wherever it navigates (Arc-style pinning); it's drifted until sent back
+   * home, and unbound only when it closes.
    */
   async revalidateBindingsForTab(tabId, tab) {
-    const state = this.getState();
-    if (!state || !state.favorites) return; // Guard against null state
-
-    const favorites = state.favorites;
+    const targets = switchTargets(this.getState());
 
-    for (const fav of favorites) {
-      if (fav.lastBoundTabId === tabId) {
-        if (!this.isValidBinding(tab, fav)) {
-          await this.clearBinding(fav.id);
+    for (const target of targets) {
+      if (target.lastBoundTabId === tabId && target.kind !== TARGET_KIND.FAVORITE) {
+        if (!this.isValidBinding(tab, target)) {
+          await this.clearBinding(target);
         }
       }
     }
@@ -0,0 +1,172 @@
+// State Snapshots - rolling copies of state kept in IndexedDB
+// Taken hourly (chrome.alarms in background.js) and before every migration, import and restore
+
+const DB_NAME = 'arc-workspaces-snapshots';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+export const SNAPSHOT_ALARM = 'state-snapshot';
+export const SNAPSHOT_INTERVAL_MINUTES = 60;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Retention: hourly snapshots for a day, then one per day for a month
+const HOURLY_RETENTION = DAY;
+const DAILY_RETENTION = 30 * DAY;
+
+// Snapshots taken before migrations, imports and restores are kept for a month, newest first
+const MAX_EVENT_SNAPSHOTS = 20;
+
+export const SNAPSHOT_REASONS = {
+  periodic: 'Automatic',
+  migration: 'Before migration',
+  import: 'Before import',
+  restore: 'Before restore'
+};
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function countItems(state) {
+  return Object.values(state.workspaces || {}).reduce((sum, ws) => sum + (ws.items?.length || 0), 0);
+}
+
+/**
+ * Compare two states by favorite and workspace IDs
+ * @param {Object} from - Starting state (e.g. current)
+ * @param {Object} to - State to compare against (e.g. a snapshot)
+ * @returns {Object} - { favoritesAdded, favoritesRemoved, workspacesAdded, workspacesRemoved } (names, going from -> to)
+ */
+export function diffStates(from, to) {
+  const fromFavorites = new Map((from.favorites || []).map(f => [f.id, f.title || f.url]));
+  const toFavorites = new Map((to.favorites || []).map(f => [f.id, f.title || f.url]));
+  const fromWorkspaces = new Map(Object.values(from.workspaces || {}).map(ws => [ws.id, ws.name]));
+  const toWorkspaces = new Map(Object.values(to.workspaces || {}).map(ws => [ws.id, ws.name]));
+
+  const missingFrom = (a, b) => [...a.entries()].filter(([id]) => !b.has(id)).map(([, name]) => name);
+
+  return {
+    favoritesAdded: missingFrom(toFavorites, fromFavorites),
+    favoritesRemoved: missingFrom(fromFavorites, toFavorites),
+    workspacesAdded: missingFrom(toWorkspaces, fromWorkspaces),
+    workspacesRemoved: missingFrom(fromWorkspaces, toWorkspaces)
+  };
+}
+
+export class SnapshotStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+          store.createIndex('createdAt', 'createdAt');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async transaction(mode, fn) {
+    const db = await this.open();
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = await fn(tx.objectStore(STORE_NAME));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  }
+
+  /**
+   * Save a snapshot of state
+   * Periodic snapshots are skipped when nothing changed since the last one.
+   * @param {Object} state - Full state
+   * @param {string} reason - Key of SNAPSHOT_REASONS
+   * @returns {Promise<Object|null>} - Saved snapshot, or null if skipped
+   */
+  async save(state, reason = 'periodic') {
+    if (reason === 'periodic') {
+      const [latest] = await this.list();
+      if (latest && JSON.stringify(latest.state) === JSON.stringify(state)) {
+        return null;
+      }
+    }
+
+    const snapshot = {
+      createdAt: Date.now(),
+      reason,
+      state,
+      counts: {
+        favorites: (state.favorites || []).length,
+        workspaces: Object.keys(state.workspaces || {}).length,
+        items: countItems(state)
+      }
+    };
+
+    snapshot.id = await this.transaction('readwrite', store => promisify(store.add(snapshot)));
+    await this.prune();
+    return snapshot;
+  }
+
+  /**
+   * All snapshots, newest first
+   */
+  async list() {
+    const snapshots = await this.transaction('readonly', store => promisify(store.getAll()));
+    return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async get(id) {
+    return this.transaction('readonly', store => promisify(store.get(id)));
+  }
+
+  /**
+   * Apply the retention policy
+   * @param {number} now - Current time (ms)
+   */
+  async prune(now = Date.now()) {
+    const snapshots = await this.list();
+    const keptBuckets = new Set();
+    let eventCount = 0;
+
+    const expired = snapshots.filter(snapshot => {
+      const age = now - snapshot.createdAt;
+      if (age > DAILY_RETENTION) return true;
+
+      if (snapshot.reason !== 'periodic') {
+        eventCount++;
+        return eventCount > MAX_EVENT_SNAPSHOTS;
+      }
+
+      // Newest snapshot in each hour (last day) or day (last month) bucket survives
+      const bucket = age <= HOURLY_RETENTION
+        ? `h${Math.floor(snapshot.createdAt / HOUR)}`
+        : `d${Math.floor(snapshot.createdAt / DAY)}`;
+      if (keptBuckets.has(bucket)) return true;
+      keptBuckets.add(bucket);
+      return false;
+    });
+
+    if (expired.length > 0) {
+      await this.transaction('readwrite', store => {
+        expired.forEach(snapshot => store.delete(snapshot.id));
+      });
+    }
+  }
+}
@@ -0,0 +1,151 @@
+// State Export - bookmark HTML, Markdown and OPML renderings of favorites and workspaces
+// Pure functions; Storage.exportData picks the format
+
+// Backup formats contain the full state and can't be limited to one workspace
+export const EXPORT_FORMATS = {
+  json: { label: 'Backup (JSON)', extension: 'json', mimeType: 'application/json', backup: true },
+  encrypted: { label: 'Encrypted backup', extension: 'json', mimeType: 'application/json', backup: true },
+  html: { label: 'Bookmarks (HTML)', extension: 'html', mimeType: 'text/html' },
+  markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  opml: { label: 'OPML', extension: 'opml', mimeType: 'text/x-opml' }
+};
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\[\]])/g, '\\$1');
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return url;
+  }
+}
+
+function favoriteTitle(fav) {
+  return fav.title || hostnameOf(fav.url);
+}
+
+function itemTitle(item) {
+  return item.alias || item.title || hostnameOf(item.url);
+}
+
+function workspaceTitle(workspace) {
+  return workspace.emoji ? `${workspace.emoji} ${workspace.name}` : workspace.name;
+}
+
+/**
+ * Pick what to export
+ * @param {Object} state - Full state
+ * @param {string|null} workspaceId - Single workspace, or null for favorites and all workspaces
+ * @returns {Object} - { title, favorites, workspaces }
+ */
+export function selectExport(state, workspaceId = null) {
+  if (workspaceId) {
+    const workspace = state.workspaces[workspaceId];
+    if (!workspace) {
+      throw new Error(`Workspace not found: ${workspaceId}`);
+    }
+    return { title: workspace.name, favorites: [], workspaces: [workspace] };
+  }
+
+  return {
+    title: 'Arc Workspaces',
+    favorites: state.favorites,
+    workspaces: Object.values(state.workspaces)
+  };
+}
+
+/**
+ * Netscape bookmark file, importable by every major browser
+ * Favorites go into the bookmarks bar folder.
+ */
+export function toBookmarkHtml({ title, favorites, workspaces }) {
+  const link = (url, text) => `        <DT><A HREF="${escapeXml(url)}">${escapeXml(text)}</A>`;
+  const folder = (name, links, attrs = '') => [
+    `    <DT><H3${attrs}>${escapeXml(name)}</H3>`,
+    '    <DL><p>',
+    ...links,
+    '    </DL><p>'
+  ];
+
+  const lines = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    `<TITLE>${escapeXml(title)}</TITLE>`,
+    `<H1>${escapeXml(title)}</H1>`,
+    '<DL><p>'
+  ];
+
+  if (favorites.length > 0) {
+    lines.push(...folder('Favorites', favorites.map(fav => link(fav.url, favoriteTitle(fav))), ' PERSONAL_TOOLBAR_FOLDER="true"'));
+  }
+  workspaces.forEach(workspace => {
+    lines.push(...folder(workspace.name, workspace.items.map(item => link(item.url, itemTitle(item)))));
+  });
+
+  lines.push('</DL><p>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Markdown link list, one section per workspace
+ */
+export function toMarkdown({ title, favorites, workspaces }) {
+  // Parentheses would end the link target early
+  const link = (url, text) => `- [${escapeMarkdown(text)}](${url.replace(/\(/g, '%28').replace(/\)/g, '%29')})`;
+  const sections = [`# ${title}`];
+
+  if (favorites.length > 0) {
+    sections.push(['## Favorites', ...favorites.map(fav => link(fav.url, favoriteTitle(fav)))].join('\n'));
+  }
+  workspaces.forEach(workspace => {
+    const links = workspace.items.length > 0
+      ? workspace.items.map(item => link(item.url, itemTitle(item)))
+      : ['_No tabs_'];
+    sections.push([`## ${workspaceTitle(workspace)}`, ...links].join('\n'));
+  });
+
+  return sections.join('\n\n') + '\n';
+}
+
+/**
+ * OPML 2.0 outline, one outline per workspace with link outlines inside
+ */
+export function toOpml({ title, favorites, workspaces }) {
+  const link = (url, text) => `      <outline type="link" text="${escapeXml(text)}" url="${escapeXml(url)}"/>`;
+  const outline = (name, links) => [
+    `    <outline text="${escapeXml(name)}">`,
+    ...links,
+    '    </outline>'
+  ];
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>'
+  ];
+
+  if (favorites.length > 0) {
+    lines.push(...outline('Favorites', favorites.map(fav => link(fav.url, favoriteTitle(fav)))));
+  }
+  workspaces.forEach(workspace => {
+    lines.push(...outline(workspaceTitle(workspace), workspace.items.map(item => link(item.url, itemTitle(item)))));
+  });
+
+  lines.push('  </body>', '</opml>');
+  return lines.join('\n') + '\n';
+}
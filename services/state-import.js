@@ -0,0 +1,424 @@
+// State Import - validation and merging for imported backups, and undoing additive imports
+// Pure functions; Storage.previewImport/importData/addCollection handle parsing, migrations and writing
+
+import { canonicalizeUrl } from "./tab-matcher.js";
+import { normalizeUrlRules, validateUrlRules, mergeUrlRules } from "./url-rules.js";
+
+const OPEN_BEHAVIORS = ['same-tab', 'new-tab', 'workspace-window', 'smart-switch'];
+const MATCH_MODES = ['exact', 'prefix', 'domain', 'site', 'pattern'];
+
+// Stop listing problems after this many (a wrong file would otherwise produce hundreds)
+const MAX_ERRORS = 20;
+
+export const IMPORT_MODES = ['replace', 'merge'];
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(entry => typeof entry === 'string');
+}
+
+function isValidUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate imported data before migrations run
+ * Sections added by later migrations (tabGrouping, ...) may be missing; anything present must be well-formed.
+ * @param {*} data - Parsed JSON
+ * @param {number} latestVersion - Newest migration version this build knows
+ * @returns {string[]} - Readable error messages (empty if valid)
+ */
+export function validateImport(data, latestVersion) {
+  const errors = [];
+  const fail = (path, message) => {
+    if (errors.length < MAX_ERRORS) {
+      errors.push(`${path}: ${message}`);
+    }
+  };
+
+  if (!isPlainObject(data)) {
+    return ['File does not contain a workspaces backup (expected a JSON object)'];
+  }
+
+  if (data.migrationVersion !== undefined) {
+    if (!Number.isInteger(data.migrationVersion) || data.migrationVersion < 0) {
+      fail('migrationVersion', 'must be a non-negative whole number');
+    } else if (data.migrationVersion > latestVersion) {
+      fail('migrationVersion', `backup is from a newer version of the extension (v${data.migrationVersion}, this one supports v${latestVersion})`);
+    }
+  }
+
+  if (!Array.isArray(data.favorites)) {
+    fail('favorites', 'must be a list');
+  } else {
+    const seenIds = new Set();
+    data.favorites.forEach((fav, i) => {
+      const path = `favorites[${i}]`;
+      if (!isPlainObject(fav)) {
+        fail(path, 'must be an object');
+        return;
+      }
+      if (typeof fav.id !== 'string' || !fav.id) {
+        fail(`${path}.id`, 'is missing');
+      } else if (seenIds.has(fav.id)) {
+        fail(`${path}.id`, `duplicates another favorite (${fav.id})`);
+      } else {
+        seenIds.add(fav.id);
+      }
+      if (!isValidUrl(fav.url)) {
+        fail(`${path}.url`, 'must be a valid URL');
+      }
+      if (fav.title !== undefined && fav.title !== null && typeof fav.title !== 'string') {
+        fail(`${path}.title`, 'must be text');
+      }
+      if (fav.matchMode && !MATCH_MODES.includes(fav.matchMode)) {
+        fail(`${path}.matchMode`, `must be one of ${MATCH_MODES.join(', ')}`);
+      }
+      if (fav.matchUrls != null && !isStringList(fav.matchUrls)) {
+        fail(`${path}.matchUrls`, 'must be a list of URLs or patterns');
+      }
+    });
+  }
+
+  if (!isPlainObject(data.workspaces)) {
+    fail('workspaces', 'must be an object keyed by workspace ID');
+  } else {
+    Object.entries(data.workspaces).forEach(([id, workspace]) => {
+      const path = `workspaces.${id}`;
+      if (!isPlainObject(workspace)) {
+        fail(path, 'must be an object');
+        return;
+      }
+      if (workspace.id !== undefined && workspace.id !== id) {
+        fail(`${path}.id`, `does not match its key (${workspace.id})`);
+      }
+      if (typeof workspace.name !== 'string' || !workspace.name.trim()) {
+        fail(`${path}.name`, 'is missing');
+      }
+      if (!Array.isArray(workspace.items)) {
+        fail(`${path}.items`, 'must be a list');
+        return;
+      }
+      const seenItemIds = new Set();
+      workspace.items.forEach((item, i) => {
+        const itemPath = `${path}.items[${i}]`;
+        if (!isPlainObject(item)) {
+          fail(itemPath, 'must be an object');
+          return;
+        }
+        if (typeof item.id !== 'string' || !item.id) {
+          fail(`${itemPath}.id`, 'is missing');
+        } else if (seenItemIds.has(item.id)) {
+          fail(`${itemPath}.id`, `duplicates another tab in this workspace (${item.id})`);
+        } else {
+          seenItemIds.add(item.id);
+        }
+        if (!isValidUrl(item.url)) {
+          fail(`${itemPath}.url`, 'must be a valid URL');
+        }
+        if (item.matchUrls != null && !isStringList(item.matchUrls)) {
+          fail(`${itemPath}.matchUrls`, 'must be a list of URLs or patterns');
+        }
+      });
+    });
+  }
+
+  if (data.preferences !== undefined) {
+    if (!isPlainObject(data.preferences)) {
+      fail('preferences', 'must be an object');
+    } else {
+      const { openBehavior, defaultMatchMode } = data.preferences;
+      if (openBehavior !== undefined && !OPEN_BEHAVIORS.includes(openBehavior)) {
+        fail('preferences.openBehavior', `must be one of ${OPEN_BEHAVIORS.join(', ')}`);
+      }
+      if (defaultMatchMode !== undefined && !MATCH_MODES.includes(defaultMatchMode)) {
+        fail('preferences.defaultMatchMode', `must be one of ${MATCH_MODES.join(', ')}`);
+      }
+    }
+  }
+
+  if (data.trash !== undefined && !Array.isArray(data.trash)) {
+    fail('trash', 'must be a list');
+  }
+
+  if (data.urlRules !== undefined) {
+    validateUrlRules(data.urlRules).forEach(error => {
+      if (errors.length < MAX_ERRORS) errors.push(error);
+    });
+  }
+
+  ['tabAliases', 'tabGrouping'].forEach(key => {
+    if (data[key] !== undefined && !isPlainObject(data[key])) {
+      fail(key, 'must be an object');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Fill sections missing from an imported (already migrated) state with defaults
+ * Tab bindings are dropped: tab IDs from another session point at unrelated tabs. Workspace tabs sharing an
+ * ID with a tab in another workspace (backups merged by older versions) get a new one.
+ * @param {Object} state - Migrated import
+ * @param {Object} defaults - DEFAULT_STATE
+ * @returns {Object} - Complete state
+ */
+export function normalizeImport(state, defaults) {
+  const unbind = entry => ({ ...entry, lastBoundTabId: null, lastBoundAt: null });
+  const itemIds = new Set();
+
+  const workspaces = {};
+  Object.entries(state.workspaces).forEach(([id, workspace]) => {
+    workspaces[id] = {
+      ...workspace,
+      id,
+      emoji: workspace.emoji ?? null,
+      collapsed: !!workspace.collapsed,
+      window: null, // Windows of the browser that saved them
+      items: workspace.items.map(item => ({ ...unbind(item), id: claimId(item.id, itemIds) }))
+    };
+  });
+
+  return {
+    ...structuredClone(defaults),
+    ...state,
+    favorites: state.favorites.map(unbind),
+    workspaces,
+    preferences: { ...defaults.preferences, ...(state.preferences || {}) },
+    tabGrouping: { ...defaults.tabGrouping, ...(state.tabGrouping || {}) },
+    urlRules: normalizeUrlRules(state.urlRules),
+    tabAliases: {} // Bound to tabs of the browser that saved them
+  };
+}
+
+function workspaceKey(name) {
+  return name.trim().toLowerCase();
+}
+
+// Keep an ID if it's free, otherwise mint a new one
+function claimId(id, takenIds) {
+  const claimed = takenIds.has(id) ? crypto.randomUUID() : id;
+  takenIds.add(claimed);
+  return claimed;
+}
+
+/**
+ * Merge an imported state into the current one
+ * - Favorites are deduped by canonical URL
+ * - Workspaces with the same name (case-insensitive) are combined, their tabs deduped by canonical URL
+ * - Colliding IDs are replaced so every favorite, workspace and workspace tab stays unique
+ * - URLs are compared with the current URL rules; imported domain rules are added for new domains
+ * - Preferences, global URL rules, tab grouping and aliases are kept from the current state
+ * @param {Object} current - Current state
+ * @param {Object} incoming - Normalized import
+ * @returns {{ state: Object, summary: Object }}
+ */
+export function mergeStates(current, incoming) {
+  const summary = {
+    favoritesAdded: 0,
+    favoritesSkipped: 0,
+    workspacesAdded: 0,
+    workspacesMerged: 0,
+    itemsAdded: 0,
+    itemsSkipped: 0,
+    urlRulesAdded: 0
+  };
+
+  const canonical = url => canonicalizeUrl(url, { rules: current.urlRules });
+
+  // Favorites
+  const favoriteUrls = new Set(current.favorites.map(f => canonical(f.url)));
+  const favoriteIds = new Set(current.favorites.map(f => f.id));
+  const favorites = [...current.favorites];
+
+  incoming.favorites.forEach(fav => {
+    const url = canonical(fav.url);
+    if (favoriteUrls.has(url)) {
+      summary.favoritesSkipped++;
+      return;
+    }
+    favoriteUrls.add(url);
+    favorites.push({ ...fav, id: claimId(fav.id, favoriteIds) });
+    summary.favoritesAdded++;
+  });
+
+  // Workspaces
+  // Item IDs are unique across all workspaces (switch targets and tab indicators are keyed by item ID alone)
+  const workspaces = { ...current.workspaces };
+  const workspaceIds = new Set(Object.keys(workspaces));
+  const itemIds = new Set(Object.values(workspaces).flatMap(ws => ws.items.map(i => i.id)));
+  const byName = new Map(Object.values(workspaces).map(ws => [workspaceKey(ws.name), ws.id]));
+
+  Object.values(incoming.workspaces).forEach(workspace => {
+    const existingId = byName.get(workspaceKey(workspace.name));
+
+    if (!existingId) {
+      const id = claimId(workspace.id, workspaceIds);
+      const items = workspace.items.map(item => ({ ...item, id: claimId(item.id, itemIds) }));
+      workspaces[id] = { ...workspace, id, items };
+      byName.set(workspaceKey(workspace.name), id);
+      summary.workspacesAdded++;
+      summary.itemsAdded += items.length;
+      return;
+    }
+
+    const existing = workspaces[existingId];
+    const itemUrls = new Set(existing.items.map(i => canonical(i.url)));
+    const items = [...existing.items];
+
+    workspace.items.forEach(item => {
+      const url = canonical(item.url);
+      if (itemUrls.has(url)) {
+        summary.itemsSkipped++;
+        return;
+      }
+      itemUrls.add(url);
+      items.push({ ...item, id: claimId(item.id, itemIds) });
+      summary.itemsAdded++;
+    });
+
+    workspaces[existingId] = { ...existing, items };
+    summary.workspacesMerged++;
+  });
+
+  // URL rules
+  const { rules: urlRules, added } = mergeUrlRules(normalizeUrlRules(current.urlRules), incoming.urlRules);
+  summary.urlRulesAdded = added;
+
+  return {
+    state: { ...current, favorites, workspaces, urlRules },
+    summary
+  };
+}
+
+/**
+ * Summarize what replacing the current state with an import changes
+ * @returns {Object} - Counts before and after
+ */
+export function summarizeReplace(current, incoming) {
+  const countItems = state => Object.values(state.workspaces).reduce((sum, ws) => sum + ws.items.length, 0);
+
+  return {
+    favoritesBefore: current.favorites.length,
+    favoritesAfter: incoming.favorites.length,
+    workspacesBefore: Object.keys(current.workspaces).length,
+    workspacesAfter: Object.keys(incoming.workspaces).length,
+    itemsBefore: countItems(current),
+    itemsAfter: countItems(incoming)
+  };
+}
+
+/**
+ * What an additive import (merge, bookmark import) added, by ID
+ * Undoing the import removes exactly these, so edits made since then (here or on another device) are kept.
+ * @param {Object} before - State the import was applied to
+ * @param {Object} after - State with the import
+ * @returns {Object} - { favorites, workspaces: new workspaces with their tabs, items: [{ workspaceId, item }], domainRules }
+ */
+export function collectAdditions(before, after) {
+  const favoriteIds = new Set(before.favorites.map(fav => fav.id));
+  const ruleDomains = new Set((before.urlRules?.domains || []).map(rule => rule.domain));
+  const itemIds = new Set(Object.values(before.workspaces).flatMap(ws => ws.items.map(item => item.id)));
+
+  const workspaces = [];
+  const items = [];
+  Object.values(after.workspaces).forEach(ws => {
+    if (!before.workspaces[ws.id]) {
+      workspaces.push(ws);
+      return;
+    }
+    ws.items
+      .filter(item => !itemIds.has(item.id))
+      .forEach(item => items.push({ workspaceId: ws.id, item }));
+  });
+
+  return {
+    favorites: after.favorites.filter(fav => !favoriteIds.has(fav.id)),
+    workspaces,
+    items,
+    domainRules: (after.urlRules?.domains || []).filter(rule => !ruleDomains.has(rule.domain))
+  };
+}
+
+/**
+ * Remove an import's additions (undo)
+ * Workspaces the import created are removed once none of their tabs are left.
+ */
+export function removeAdditions(state, additions) {
+  const favoriteIds = new Set(additions.favorites.map(fav => fav.id));
+  const itemIds = new Set([
+    ...additions.items.map(({ item }) => item.id),
+    ...additions.workspaces.flatMap(ws => ws.items.map(item => item.id))
+  ]);
+  const createdIds = new Set(additions.workspaces.map(ws => ws.id));
+
+  const workspaces = {};
+  Object.values(state.workspaces).forEach(ws => {
+    const items = ws.items.filter(item => !itemIds.has(item.id));
+    if (createdIds.has(ws.id) && items.length === 0) return;
+    workspaces[ws.id] = items.length === ws.items.length ? ws : { ...ws, items };
+  });
+
+  let urlRules = state.urlRules;
+  if (additions.domainRules.length > 0) {
+    const domains = new Set(additions.domainRules.map(rule => rule.domain));
+    const rules = normalizeUrlRules(state.urlRules);
+    urlRules = { ...rules, domains: rules.domains.filter(rule => !domains.has(rule.domain)) };
+  }
+
+  return {
+    ...state,
+    favorites: state.favorites.filter(fav => !favoriteIds.has(fav.id)),
+    workspaces,
+    urlRules
+  };
+}
+
+/**
+ * Put an import's additions back (redo)
+ * Tabs whose workspace has since been deleted stay out.
+ */
+export function insertAdditions(state, additions) {
+  const favoriteIds = new Set(state.favorites.map(fav => fav.id));
+  const itemIds = new Set(Object.values(state.workspaces).flatMap(ws => ws.items.map(item => item.id)));
+  const workspaces = { ...state.workspaces };
+
+  const addItems = (workspaceId, items) => {
+    const missing = items.filter(item => !itemIds.has(item.id));
+    missing.forEach(item => itemIds.add(item.id));
+    if (missing.length > 0) {
+      workspaces[workspaceId] = { ...workspaces[workspaceId], items: [...workspaces[workspaceId].items, ...missing] };
+    }
+  };
+
+  additions.workspaces.forEach(ws => {
+    if (!workspaces[ws.id]) {
+      workspaces[ws.id] = { ...ws, items: [] };
+    }
+    addItems(ws.id, ws.items);
+  });
+  additions.items
+    .filter(({ workspaceId }) => workspaces[workspaceId])
+    .forEach(({ workspaceId, item }) => addItems(workspaceId, [item]));
+
+  const urlRules = additions.domainRules.length > 0
+    ? mergeUrlRules(normalizeUrlRules(state.urlRules), { domains: additions.domainRules }).rules
+    : state.urlRules;
+
+  return {
+    ...state,
+    favorites: [...state.favorites, ...additions.favorites.filter(fav => !favoriteIds.has(fav.id))],
+    workspaces,
+    urlRules
+  };
+}
@@ -0,0 +1,89 @@
+// Persistent Tab Aliases
+// Tab IDs change on every restart and session restore, so aliases are stored under their own ID with
+// the tab's identity (canonical URL, window ordinal, index), and syncTabAliases matches them back to live
+// tabs by that identity. Chrome has no per-tab session values (chrome.sessions.setTabValue is Firefox-only).
+
+import { canonicalizeUrl } from "./tab-matcher.js";
+
+// Syncs an alias can go unmatched before the sweep drops it (syncs run at startup and hourly)
+export const MAX_MISSED_SYNCS = 3;
+
+/**
+ * Position of each normal window, oldest first (window IDs are new after a restart, but their order holds)
+ * @returns {Promise<Map<number, number>>} - windowId -> ordinal
+ */
+export async function getWindowOrdinals() {
+  const windows = await chrome.windows.getAll({ windowTypes: ['normal'] });
+  return new Map(windows.map(w => w.id).sort((a, b) => a - b).map((id, ordinal) => [id, ordinal]));
+}
+
+/**
+ * Stable identity of a tab
+ */
+export function tabIdentity(tab, windowOrdinals) {
+  return {
+    url: canonicalizeUrl(tab.url || tab.pendingUrl || ''),
+    windowOrdinal: windowOrdinals.get(tab.windowId) ?? null,
+    index: tab.index
+  };
+}
+
+/**
+ * Match aliases to live tabs
+ * Within a session, an alias whose tab is still open keeps it, wherever the tab has navigated since.
+ * The others get the best identity match among unclaimed tabs with the same canonical URL
+ * (same window and index > same index > same window > URL only). Aliases without an identity yet
+ * (migrated from tab-ID keys) can only match their original tab ID, which is valid until the next restart.
+ * @param {Object[]} aliases - Alias records
+ * @param {Object[]} tabs - Live tabs with their identity ({ tab, identity })
+ * @param {Object} options - { restarted: tab IDs are from the last session, so only identities count }
+ * @returns {Map<string, Object>} - aliasId -> { tab, identity }
+ */
+export function matchAliases(aliases, tabs, { restarted = false } = {}) {
+  const matches = new Map();
+  const claimed = new Set();
+
+  aliases
+    .filter(alias => !restarted && alias.tabId != null)
+    .forEach(alias => {
+      const entry = tabs.find(t => t.tab.id === alias.tabId && !claimed.has(t.tab.id));
+      if (entry) {
+        matches.set(alias.id, entry);
+        claimed.add(entry.tab.id);
+      }
+    });
+
+  const score = (alias, identity) =>
+    (identity.windowOrdinal === alias.windowOrdinal ? 1 : 0) + (identity.index === alias.index ? 2 : 0);
+
+  aliases
+    .filter(alias => !matches.has(alias.id) && alias.url)
+    .forEach(alias => {
+      const candidates = tabs
+        .filter(entry => !claimed.has(entry.tab.id) && entry.identity.url === alias.url)
+        .sort((a, b) => score(alias, b.identity) - score(alias, a.identity));
+
+      if (candidates.length > 0) {
+        matches.set(alias.id, candidates[0]);
+        claimed.add(candidates[0].tab.id);
+      }
+    });
+
+  return matches;
+}
+
+/**
+ * Look up live tabs with their identities
+ * @returns {Promise<Object[]>} - [{ tab, identity }]
+ */
+export async function collectLiveTabs() {
+  const [tabs, windowOrdinals] = await Promise.all([
+    chrome.tabs.query({ windowType: 'normal' }),
+    getWindowOrdinals()
+  ]);
+
+  return tabs.map(tab => ({
+    tab,
+    identity: tabIdentity(tab, windowOrdinals)
+  }));
+}
@@ -1,14 +1,154 @@
 import { canonicalizeUrl } from "./tab-matcher.js";
+import { siteOf } from "./public-suffix.js";
+
+function addToIndex(index, key, tabId) {
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(tabId);
+}
+
+function removeFromIndex(index, key, tabId) {
+  const tabIds = index.get(key);
+  if (tabIds) {
+    tabIds.delete(tabId);
+    if (tabIds.size === 0) {
+      index.delete(key);
+    }
+  }
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch {
+    return null;
+  }
+}
 
 /**
  * In-memory cache for fast tab lookups
- * Maintains multiple indexes for efficient queries
+ * Maintains multiple indexes for efficient queries, plus a reverse index from each tab to the
+ * favorites and workspace items it matches (kept up to date tab by tab, see setTargets)
  */
 export class TabCache {
   constructor() {
     this.byId = new Map();           // tabId -> tab object
     this.byUrl = new Map();          // normalizedUrl -> Set<tabId>
+    this.byHost = new Map();         // hostname -> Set<tabId>
+    this.bySite = new Map();         // site (registrable domain) -> Set<tabId>
     this.byWindow = new Map();       // windowId -> Set<tabId>
+    this.lastActivated = new Map();  // tabId -> when it was last activated (MRU order)
+    this.canonicalOptions = {};      // canonicalizeUrl options ({ rules, stripTracking })
+
+    // Reverse index
+    this.targets = new Map();        // targetKey -> favorite or workspace item
+    this.matcher = null;             // { matches(tabUrl, target), scope(target) }
+    this.targetsByTab = new Map();   // tabId -> Set<targetKey>
+    this.tabsByTarget = new Map();   // targetKey -> Set<tabId>
+    this.changedTabs = new Set();    // tabIds whose index entry changed since takeChanges()
+  }
+
+  /**
+   * Use new URL rules (rebuilds the URL index, whose keys depend on them)
+   */
+  setCanonicalOptions(options) {
+    this.canonicalOptions = options;
+    const tabs = this.getAll();
+    const lastActivated = new Map(this.lastActivated);
+    this.clear();
+    tabs.forEach(tab => this.add(tab));
+    this.lastActivated = lastActivated;
+  }
+
+  /**
+   * Use new favorites and workspace items (rebuilds the reverse index)
+   * Only tabs in each target's scope (same host or site) are tested.
+   * @param {Map<string, Object>} targets - targetKey -> favorite or workspace item
+   * @param {Object} matcher - { matches: (tabUrl, target) => boolean, scope: target => targetScope() result }
+   */
+  setTargets(targets, matcher) {
+    const previous = this.targetsByTab;
+    this.targets = targets;
+    this.matcher = matcher;
+    this.targetsByTab = new Map();
+    this.tabsByTarget = new Map();
+
+    targets.forEach((target, key) => {
+      this.getCandidates(matcher.scope(target)).forEach(tab => {
+        if (matcher.matches(tab.url, target)) {
+          addToIndex(this.targetsByTab, tab.id, key);
+          addToIndex(this.tabsByTarget, key, tab.id);
+        }
+      });
+    });
+
+    // Report tabs whose targets changed
+    const sameKeys = (a, b) => (a?.size || 0) === (b?.size || 0) && [...(a || [])].every(key => b.has(key));
+    new Set([...previous.keys(), ...this.targetsByTab.keys()]).forEach(tabId => {
+      if (!sameKeys(previous.get(tabId), this.targetsByTab.get(tabId))) {
+        this.changedTabs.add(tabId);
+      }
+    });
+  }
+
+  /**
+   * Match one tab against every target
+   */
+  indexTargets(tab) {
+    if (!this.matcher || !tab.url) return;
+
+    this.targets.forEach((target, key) => {
+      if (this.matcher.matches(tab.url, target)) {
+        addToIndex(this.targetsByTab, tab.id, key);
+        addToIndex(this.tabsByTarget, key, tab.id);
+      }
+    });
+  }
+
+  /**
+   * Record that a tab became the active tab of the focused window
+   * Also moves the active flag within its window (tabs.onUpdated doesn't report activation).
+   */
+  recordActivation(tabId, at = Date.now()) {
+    const tab = this.byId.get(tabId);
+    if (!tab) return;
+
+    this.lastActivated.set(tabId, at);
+    this.getByWindow(tab.windowId).forEach(other => {
+      if (other.active !== (other.id === tabId)) {
+        this.byId.set(other.id, { ...other, active: other.id === tabId });
+        this.changedTabs.add(other.id);
+      }
+    });
+  }
+
+  /**
+   * When a tab was last activated
+   * Activations from before the service worker started fall back to the browser's lastAccessed.
+   * @returns {number} - Timestamp, 0 if unknown
+   */
+  getLastActivated(tabId) {
+    return this.lastActivated.get(tabId) ?? this.byId.get(tabId)?.lastAccessed ?? 0;
+  }
+
+  /**
+   * Activation history, to carry over to the next service worker
+   * @returns {Object} - tabId -> timestamp
+   */
+  getActivations() {
+    return Object.fromEntries(this.lastActivated);
+  }
+
+  /**
+   * Restore activation history saved by getActivations (tabs closed since then are skipped)
+   */
+  restoreActivations(activations = {}) {
+    Object.entries(activations).forEach(([tabId, at]) => {
+      if (this.byId.has(Number(tabId)) && !this.lastActivated.has(Number(tabId))) {
+        this.lastActivated.set(Number(tabId), at);
+      }
+    });
   }
 
   /**
@@ -18,23 +158,25 @@ export class TabCache {
     if (!tab || !tab.id) return;
 
     this.byId.set(tab.id, tab);
+    this.changedTabs.add(tab.id);
 
-    // Index by normalized URL
+    // Index by normalized URL, host and site
     if (tab.url) {
-      const normalized = canonicalizeUrl(tab.url);
-      if (!this.byUrl.has(normalized)) {
-        this.byUrl.set(normalized, new Set());
+      addToIndex(this.byUrl, canonicalizeUrl(tab.url, this.canonicalOptions), tab.id);
+
+      const hostname = hostnameOf(tab.url);
+      if (hostname) {
+        addToIndex(this.byHost, hostname, tab.id);
+        addToIndex(this.bySite, siteOf(tab.url), tab.id);
       }
-      this.byUrl.get(normalized).add(tab.id);
     }
 
     // Index by window
     if (tab.windowId) {
-      if (!this.byWindow.has(tab.windowId)) {
-        this.byWindow.set(tab.windowId, new Set());
-      }
-      this.byWindow.get(tab.windowId).add(tab.id);
+      addToIndex(this.byWindow, tab.windowId, tab.id);
     }
+
+    this.indexTargets(tab);
   }
 
   /**
@@ -44,31 +186,30 @@ export class TabCache {
     const tab = this.byId.get(tabId);
     if (!tab) return;
 
-    // Remove from URL index
+    // Remove from URL, host and site indexes
     if (tab.url) {
-      const normalized = canonicalizeUrl(tab.url);
-      const urlSet = this.byUrl.get(normalized);
-      if (urlSet) {
-        urlSet.delete(tabId);
-        if (urlSet.size === 0) {
-          this.byUrl.delete(normalized);
-        }
+      removeFromIndex(this.byUrl, canonicalizeUrl(tab.url, this.canonicalOptions), tabId);
+
+      const hostname = hostnameOf(tab.url);
+      if (hostname) {
+        removeFromIndex(this.byHost, hostname, tabId);
+        removeFromIndex(this.bySite, siteOf(tab.url), tabId);
       }
     }
 
     // Remove from window index
     if (tab.windowId) {
-      const windowSet = this.byWindow.get(tab.windowId);
-      if (windowSet) {
-        windowSet.delete(tabId);
-        if (windowSet.size === 0) {
-          this.byWindow.delete(tab.windowId);
-        }
-      }
+      removeFromIndex(this.byWindow, tab.windowId, tabId);
     }
 
+    // Remove from reverse index
+    (this.targetsByTab.get(tabId) || []).forEach(key => removeFromIndex(this.tabsByTarget, key, tabId));
+    this.targetsByTab.delete(tabId);
+
     // Remove from main index
     this.byId.delete(tabId);
+    this.lastActivated.delete(tabId);
+    this.changedTabs.add(tabId);
   }
 
   /**
@@ -77,8 +218,10 @@ export class TabCache {
   update(tabId, changeInfo, tab) {
     if (changeInfo.url) {
       // URL changed - need to remap
+      const lastActivated = this.lastActivated.get(tabId);
       this.remove(tabId);
       this.add(tab);
+      if (lastActivated) this.lastActivated.set(tabId, lastActivated);
     } else {
       // Just update metadata
       this.byId.set(tabId, tab);
@@ -96,7 +239,7 @@ export class TabCache {
    * Find tabs by normalized URL
    */
   findByUrl(url, windowId = null) {
-    const normalized = canonicalizeUrl(url);
+    const normalized = canonicalizeUrl(url, this.canonicalOptions);
     const tabIds = this.byUrl.get(normalized) || new Set();
 
     if (windowId !== null) {
@@ -113,6 +256,80 @@ export class TabCache {
       .filter(Boolean);
   }
 
+  /**
+   * Tabs sharing a canonical URL, across all windows (web and file pages only)
+   * @returns {Object[]} - [{ url, tabs }], largest groups first, most recently used tab first in each
+   */
+  getDuplicates() {
+    const groups = [];
+    this.byUrl.forEach((tabIds, url) => {
+      if (tabIds.size < 2 || !/^(https?|file):/.test(url)) return;
+
+      const tabs = Array.from(tabIds)
+        .map(id => this.byId.get(id))
+        .filter(Boolean)
+        .sort((a, b) => this.getLastActivated(b.id) - this.getLastActivated(a.id));
+      groups.push({ url, tabs });
+    });
+    return groups.sort((a, b) => b.tabs.length - a.tabs.length);
+  }
+
+  /**
+   * Tabs that could match a target (see targetScope in tab-matcher.js)
+   * @param {Object|null} scope - { hosts } or { sites }; null for all tabs
+   */
+  getCandidates(scope) {
+    if (!scope) return this.getAll();
+
+    const [index, keys] = scope.sites ? [this.bySite, scope.sites] : [this.byHost, scope.hosts || []];
+    const tabIds = new Set(keys.flatMap(key => Array.from(index.get(key) || [])));
+    return Array.from(tabIds)
+      .map(id => this.byId.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Keys of the favorites and workspace items a tab matches
+   */
+  getTargetsForTab(tabId) {
+    return Array.from(this.targetsByTab.get(tabId) || []);
+  }
+
+  /**
+   * Tabs matching a favorite or workspace item
+   */
+  getTabsForTarget(targetKey) {
+    return Array.from(this.tabsByTarget.get(targetKey) || [])
+      .map(id => this.byId.get(id))
+      .filter(Boolean);
+  }
+
+  /**
+   * Reverse index entry of a tab, as streamed to the side panel
+   * @returns {Object} - { tabId, windowId, url, active, targets } or { tabId, removed: true }
+   */
+  indexEntry(tabId) {
+    const tab = this.byId.get(tabId);
+    if (!tab) return { tabId, removed: true };
+    return { tabId, windowId: tab.windowId, url: tab.url, active: !!tab.active, targets: this.getTargetsForTab(tabId) };
+  }
+
+  /**
+   * Reverse index entries of every tab
+   */
+  getIndex() {
+    return Array.from(this.byId.keys()).map(tabId => this.indexEntry(tabId));
+  }
+
+  /**
+   * Entries changed since the last call (tabs added, removed, activated or matching other targets)
+   */
+  takeChanges() {
+    const changes = Array.from(this.changedTabs).map(tabId => this.indexEntry(tabId));
+    this.changedTabs.clear();
+    return changes;
+  }
+
   /**
    * Get all tabs in a window
    */
@@ -131,12 +348,18 @@ export class TabCache {
   }
 
   /**
-   * Clear all cache
+   * Clear all cache (targets and matching rules are kept)
    */
   clear() {
+    this.byId.forEach((tab, tabId) => this.changedTabs.add(tabId));
     this.byId.clear();
     this.byUrl.clear();
+    this.byHost.clear();
+    this.bySite.clear();
     this.byWindow.clear();
+    this.lastActivated.clear();
+    this.targetsByTab.clear();
+    this.tabsByTarget.clear();
   }
 
   /**
@@ -146,7 +369,11 @@ export class TabCache {
     return {
       totalTabs: this.byId.size,
       uniqueUrls: this.byUrl.size,
-      windows: this.byWindow.size
+      hosts: this.byHost.size,
+      sites: this.bySite.size,
+      windows: this.byWindow.size,
+      targets: this.targets.size,
+      matchedTargets: this.tabsByTarget.size
     };
   }
 }
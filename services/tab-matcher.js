@@ -1,18 +1,82 @@
 // URL Matching and Canonicalization for Smart Tab Switching
 
+import { DEFAULT_URL_RULES, applyUrlRules } from "./url-rules.js";
+import { registrableDomain, siteOf } from "./public-suffix.js";
+
 export const MATCH_MODE = {
   EXACT: 'exact',        // Full URL match
   PREFIX: 'prefix',      // URL prefix (best for SPAs)
   DOMAIN: 'domain',      // Domain-only match
-  PATTERN: 'pattern'     // Custom regex/wildcard
+  SITE: 'site',          // Registrable domain, any subdomain (Public Suffix List)
+  PATTERN: 'pattern'     // Glob, or /regex/
 };
 
+// Compiled patterns, so PATTERN mode doesn't build a RegExp on every tab check
+const patternCache = new Map(); // pattern -> { regex, syntax, error }
+const PATTERN_CACHE_LIMIT = 500;
+
+const REGEX_LITERAL = /^\/(.+)\/([a-z]*)$/s;
+
+/**
+ * Convert a URL glob to a regular expression
+ * `*` matches any run of characters and `?` a single one; the whole canonical URL must match.
+ * Globs without a scheme match any scheme, and a trailing slash is optional.
+ */
+function globToRegExp(glob) {
+  let body = glob.replace(/\/$/, '');
+  const scheme = body.includes('://') ? '' : '[a-z][a-z0-9+.-]*://';
+
+  body = body
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${scheme}${body}/?$`, 'i');
+}
+
+/**
+ * Compile a PATTERN-mode pattern (cached)
+ * `/.../flags` is a regular expression tested against the canonical tab URL;
+ * anything else is a glob such as `https://*.atlassian.net/browse/PROJ-*`.
+ * @param {string} pattern - Pattern as entered by the user
+ * @returns {{ regex: RegExp|null, syntax: 'glob'|'regex', error: string|null }}
+ */
+export function compilePattern(pattern) {
+  const cached = patternCache.get(pattern);
+  if (cached) return cached;
+
+  const source = (pattern || '').trim();
+  const literal = source.match(REGEX_LITERAL);
+  const compiled = { regex: null, syntax: literal ? 'regex' : 'glob', error: null };
+
+  if (!source) {
+    compiled.error = 'Pattern is empty';
+  } else {
+    try {
+      compiled.regex = literal
+        ? new RegExp(literal[1], literal[2].replace(/[gy]/g, '')) // Stateful flags would break test()
+        : globToRegExp(source);
+    } catch (error) {
+      compiled.error = error.message;
+    }
+  }
+
+  if (patternCache.size >= PATTERN_CACHE_LIMIT) {
+    patternCache.clear();
+  }
+  patternCache.set(pattern, compiled);
+  return compiled;
+}
+
 /**
  * URL canonicalization - normalize for matching
- * Strips tracking params, normalizes host, and standardizes format
+ * Lowercases the host and applies the URL rules (services/url-rules.js): tracking parameters,
+ * per-domain parameter, hash and path handling
+ * @param {Object} options - { rules: state.urlRules (defaults if omitted), stripTracking, stripHash, stripQuery }
  */
 export function canonicalizeUrl(url, options = {}) {
   const {
+    rules = DEFAULT_URL_RULES,
     stripTracking = true,
     stripHash = false,
     stripQuery = false,
@@ -24,26 +88,16 @@ export function canonicalizeUrl(url, options = {}) {
     // Lowercase host
     u.hostname = u.hostname.toLowerCase();
 
-    // Strip tracking params
-    if (stripTracking) {
-      const trackingParams = [
-        'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
-        'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid',
-        '_ga', '_gl', 'ref', 'source'
-      ];
-
-      trackingParams.forEach(param => {
-        u.searchParams.delete(param);
-      });
-    }
+    // Drop parameters, account segments and case the rules say don't matter
+    const { ignoreHash } = applyUrlRules(u, rules, { stripTracking });
 
     // Strip query entirely (optional)
     if (stripQuery) {
       u.search = '';
     }
 
-    // Strip hash (optional)
-    if (stripHash) {
+    // Strip hash (optional, or per domain rule)
+    if (stripHash || ignoreHash) {
       u.hash = '';
     }
 
@@ -58,13 +112,14 @@ export function canonicalizeUrl(url, options = {}) {
 
 /**
  * Match tab URL against favorite using configured match mode
+ * @param {Object} options - Passed to canonicalizeUrl ({ stripTracking })
  */
-export function matchesUrl(tabUrl, favoriteUrl, matchMode = MATCH_MODE.PREFIX, pattern = null) {
+export function matchesUrl(tabUrl, favoriteUrl, matchMode = MATCH_MODE.PREFIX, pattern = null, options = {}) {
   if (!tabUrl || !favoriteUrl) return false;
 
   // Canonicalize both URLs
-  const canonicalTab = canonicalizeUrl(tabUrl);
-  const canonicalFav = canonicalizeUrl(favoriteUrl);
+  const canonicalTab = canonicalizeUrl(tabUrl, options);
+  const canonicalFav = canonicalizeUrl(favoriteUrl, options);
 
   switch (matchMode) {
     case MATCH_MODE.EXACT:
@@ -85,15 +140,18 @@ export function matchesUrl(tabUrl, favoriteUrl, matchMode = MATCH_MODE.PREFIX, p
         return false;
       }
 
-    case MATCH_MODE.PATTERN:
-      // Custom regex/wildcard pattern
+    case MATCH_MODE.SITE: {
+      // Same registrable domain (mail.google.com ~ docs.google.com, but not a.github.io ~ b.github.io)
+      const tabSite = siteOf(tabUrl);
+      return !!tabSite && tabSite === siteOf(favoriteUrl);
+    }
+
+    case MATCH_MODE.PATTERN: {
+      // Glob or /regex/ (invalid patterns match nothing; the pattern editor shows why)
       if (!pattern) return false;
-      try {
-        const regex = new RegExp(pattern);
-        return regex.test(canonicalTab);
-      } catch {
-        return false;
-      }
+      const { regex } = compilePattern(pattern);
+      return regex ? regex.test(canonicalTab) : false;
+    }
 
     default:
       return false;
@@ -101,44 +159,173 @@ export function matchesUrl(tabUrl, favoriteUrl, matchMode = MATCH_MODE.PREFIX, p
 }
 
 /**
- * Rank matching tabs by priority
- * Priority:
- * 1. Exact URL over broader matches
- * 2. Current window over other windows
- * 3. Most recently active tab
+ * Whether an extra match URL is a pattern (contains * or is a /regex/) rather than a plain URL
  */
-export function rankMatches(tabs, currentWindowId, favoriteUrl, matchMode) {
-  return tabs
-    .map(tab => ({
-      tab,
-      score: calculateMatchScore(tab, currentWindowId, favoriteUrl, matchMode)
-    }))
-    .sort((a, b) => b.score - a.score)
-    .map(({ tab }) => tab);
+export function isMatchUrlPattern(entry) {
+  return entry.includes('*') || REGEX_LITERAL.test(entry.trim());
+}
+
+/**
+ * Match tab URL against a favorite or workspace item: its URL, then its extra match URLs
+ * (matchUrls: other hosts of the same app). Patterns are tested like PATTERN mode; plain URLs use the
+ * target's match mode (prefix when that mode is PATTERN, whose pattern belongs to the primary URL).
+ * @param {string} defaultMode - Used when the target has no matchMode
+ * @param {Object} options - Passed to canonicalizeUrl
+ */
+export function matchesTarget(tabUrl, target, defaultMode = MATCH_MODE.PREFIX, options = {}) {
+  const matchMode = target.matchMode || defaultMode;
+  if (matchesUrl(tabUrl, target.url, matchMode, target.matchPattern, options)) return true;
+
+  const extraMode = matchMode === MATCH_MODE.PATTERN ? MATCH_MODE.PREFIX : matchMode;
+  return (target.matchUrls || []).some(entry => {
+    if (!isMatchUrlPattern(entry)) {
+      return matchesUrl(tabUrl, entry, extraMode, null, options);
+    }
+    const { regex } = compilePattern(entry);
+    return regex ? regex.test(canonicalizeUrl(tabUrl, options)) : false;
+  });
 }
 
-function calculateMatchScore(tab, currentWindowId, favoriteUrl, matchMode) {
-  let score = 0;
+/**
+ * Which tabs could match a target, for narrowing lookups with TabCache's host and site indexes
+ * Exact, prefix and domain matches stay on the target URLs' hosts, and site matches on their sites;
+ * patterns can match anything.
+ * @returns {{ hosts: string[] }|{ sites: string[] }|null} - null: any tab
+ */
+export function targetScope(target, defaultMode = MATCH_MODE.PREFIX) {
+  const matchMode = target.matchMode || defaultMode;
+  const extraUrls = target.matchUrls || [];
+  if (matchMode === MATCH_MODE.PATTERN || extraUrls.some(isMatchUrlPattern)) return null;
 
-  // Priority 1: Match mode quality (exact > prefix > domain)
-  if (matchMode === MATCH_MODE.EXACT) {
-    score += 1000;
-  } else if (matchMode === MATCH_MODE.PREFIX) {
-    score += 500;
-  } else if (matchMode === MATCH_MODE.DOMAIN) {
-    score += 100;
+  const urls = [target.url, ...extraUrls];
+  if (matchMode === MATCH_MODE.SITE) {
+    return { sites: urls.map(siteOf).filter(Boolean) };
   }
 
-  // Priority 2: Current window (bonus)
-  if (tab.windowId === currentWindowId) {
-    score += 100;
+  const hosts = [];
+  urls.forEach(url => {
+    try {
+      hosts.push(new URL(url).hostname.toLowerCase());
+    } catch {
+      // Unparseable URLs match nothing
+    }
+  });
+  return { hosts };
+}
+
+// How closely a tab's URL matches a target URL (higher is closer)
+export const URL_CLOSENESS = {
+  EXACT: 3,    // Same canonical URL
+  PATH: 2,     // Same host, shares leading path segments
+  HOST: 1,     // Same host
+  OTHER: 0     // Matched by mode, pattern or extra URL only
+};
+
+function pathSegments(pathname) {
+  return pathname.split('/').filter(Boolean);
+}
+
+/**
+ * Closest of the target URLs to a tab URL
+ * @returns {{ closeness: number, commonSegments: number }}
+ */
+function urlCloseness(tabUrl, targetUrls, options) {
+  let best = { closeness: URL_CLOSENESS.OTHER, commonSegments: 0 };
+
+  const canonicalTab = canonicalizeUrl(tabUrl, options);
+  let tab;
+  try {
+    tab = new URL(canonicalTab);
+  } catch {
+    return best;
   }
 
-  // Priority 3: Most recently active
-  if (tab.lastAccessed) {
-    // Normalize timestamp to prevent overflow
-    score += tab.lastAccessed / 1000000;
+  for (const url of targetUrls) {
+    const canonical = canonicalizeUrl(url, options);
+    if (canonical === canonicalTab) {
+      return { closeness: URL_CLOSENESS.EXACT, commonSegments: pathSegments(tab.pathname).length };
+    }
+
+    let target;
+    try {
+      target = new URL(canonical);
+    } catch {
+      continue;
+    }
+    if (target.host !== tab.host) continue;
+
+    const tabPath = pathSegments(tab.pathname);
+    const targetPath = pathSegments(target.pathname);
+    let common = 0;
+    while (common < tabPath.length && common < targetPath.length && tabPath[common] === targetPath[common]) {
+      common++;
+    }
+
+    const candidate = { closeness: common > 0 ? URL_CLOSENESS.PATH : URL_CLOSENESS.HOST, commonSegments: common };
+    if (candidate.closeness > best.closeness ||
+        (candidate.closeness === best.closeness && candidate.commonSegments > best.commonSegments)) {
+      best = candidate;
+    }
   }
+  return best;
+}
+
+function describeAge(timestamp, now) {
+  if (!timestamp) return 'never activated';
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 60) return `used ${seconds}s ago`;
+  if (seconds < 3600) return `used ${Math.round(seconds / 60)} min ago`;
+  if (seconds < 86400) return `used ${Math.round(seconds / 3600)} h ago`;
+  return `used ${Math.round(seconds / 86400)} d ago`;
+}
+
+/**
+ * Rank matching tabs, best first, with the reasons for each position
+ * Priority:
+ * 1. URL closeness: exact URL, then longest common path prefix, then same host
+ * 2. Current window over other windows
+ * 3. Most recently used (TabCache activation history, else the browser's lastAccessed)
+ * @param {Object[]} tabs - Tabs that already match the target
+ * @param {Object} context - { urls: target URLs, currentWindowId, lastActivated: tabId => timestamp, canonicalOptions }
+ * @returns {Object[]} - [{ tab, closeness, commonSegments, currentWindow, lastActivated, reasons: string[] }]
+ */
+export function explainRanking(tabs, context = {}) {
+  const { urls = [], currentWindowId = null, lastActivated = tab => tab.lastAccessed, canonicalOptions = {} } = context;
+  const now = Date.now();
 
-  return score;
+  return tabs
+    .map(tab => {
+      const { closeness, commonSegments } = urlCloseness(tab.url, urls, canonicalOptions);
+      const entry = {
+        tab,
+        closeness,
+        commonSegments,
+        currentWindow: tab.windowId === currentWindowId,
+        lastActivated: lastActivated(tab) || 0
+      };
+      entry.reasons = [
+        closeness === URL_CLOSENESS.EXACT ? 'exact URL'
+          : closeness === URL_CLOSENESS.PATH ? `same path (${commonSegments} segment${commonSegments === 1 ? '' : 's'})`
+            : closeness === URL_CLOSENESS.HOST ? 'same host' : 'matched by rule',
+        entry.currentWindow ? 'this window' : 'other window',
+        describeAge(entry.lastActivated, now)
+      ];
+      return entry;
+    })
+    .sort((a, b) =>
+      (b.closeness - a.closeness) ||
+      (b.commonSegments - a.commonSegments) ||
+      (Number(b.currentWindow) - Number(a.currentWindow)) ||
+      (b.lastActivated - a.lastActivated)
+    );
 }
+
+/**
+ * Rank matching tabs, best first (see explainRanking)
+ */
+export function rankMatches(tabs, context) {
+  return explainRanking(tabs, context).map(({ tab }) => tab);
+}
+
+// Classic side panel scripts (sidepanel.js) use the matcher as a global
+globalThis.TabMatcher = { MATCH_MODE, canonicalizeUrl, matchesUrl, matchesTarget, isMatchUrlPattern, compilePattern, registrableDomain, siteOf };
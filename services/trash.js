@@ -0,0 +1,93 @@
+// Trash - soft-deleted favorites, workspaces and workspace tabs
+// Pure state transforms; Storage.remove*/restoreFromTrash/purgeTrash apply them
+
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function insertAt(list, entry, index) {
+  const next = [...list];
+  next.splice(index === null || index < 0 ? next.length : Math.min(index, next.length), 0, entry);
+  return next;
+}
+
+/**
+ * Build a trash entry
+ * IDs are derived from the deleted object, so deleting the same object again (e.g. redo) replaces its entry.
+ * @param {string} type - 'favorite' | 'workspace' | 'item'
+ * @param {Object} data - The deleted favorite, workspace (with its items) or item
+ * @param {Object} origin - { index, workspaceId, workspaceName } (workspace fields for items only)
+ */
+export function createTrashEntry(type, data, origin) {
+  return {
+    id: `${type}:${data.id}`,
+    type,
+    deletedAt: Date.now(),
+    data,
+    origin
+  };
+}
+
+/**
+ * Add an entry to the trash (newest first)
+ */
+export function addToTrash(state, entry) {
+  return [entry, ...(state.trash || []).filter(t => t.id !== entry.id)];
+}
+
+/**
+ * Put a trash entry back where it came from and drop it from the trash
+ * Items whose workspace is gone go into a workspace with the same name (created if needed).
+ * @param {Object} state - Current state
+ * @param {Object} entry - Trash entry
+ * @returns {Object} - New state
+ */
+export function restoreTrashEntry(state, entry) {
+  const trash = (state.trash || []).filter(t => t.id !== entry.id);
+  const { data, origin } = entry;
+
+  if (entry.type === 'favorite') {
+    const favorites = state.favorites.filter(f => f.id !== data.id);
+    return { ...state, favorites: insertAt(favorites, data, origin.index), trash };
+  }
+
+  if (entry.type === 'workspace') {
+    const workspaceEntries = Object.entries(state.workspaces).filter(([id]) => id !== data.id);
+    return {
+      ...state,
+      workspaces: Object.fromEntries(insertAt(workspaceEntries, [data.id, data], origin.index)),
+      trash
+    };
+  }
+
+  if (entry.type === 'item') {
+    let workspace = state.workspaces[origin.workspaceId] ||
+      Object.values(state.workspaces).find(ws => ws.name.toLowerCase() === origin.workspaceName.toLowerCase());
+    if (!workspace) {
+      workspace = { id: crypto.randomUUID(), name: origin.workspaceName, emoji: null, items: [], collapsed: false };
+    }
+
+    const items = workspace.items.filter(i => i.id !== data.id);
+    return {
+      ...state,
+      workspaces: {
+        ...state.workspaces,
+        [workspace.id]: { ...workspace, items: insertAt(items, data, origin.index) }
+      },
+      trash
+    };
+  }
+
+  throw new Error(`Unknown trash entry type: ${entry.type}`);
+}
+
+/**
+ * Trash entries past the retention period
+ * @param {Object[]} trash - Trash entries
+ * @param {number} retentionDays - Days to keep deleted entries
+ * @param {number} now - Current time (ms)
+ */
+export function expiredTrashEntries(trash, retentionDays, now = Date.now()) {
+  const cutoff = now - retentionDays * DAY;
+  return (trash || []).filter(entry => entry.deletedAt < cutoff);
+}
@@ -0,0 +1,182 @@
+// URL Rules - user-configurable canonicalization
+// Decides which query parameters, hashes and path segments matter when two URLs are compared.
+// canonicalizeUrl applies them; they're stored in state.urlRules and edited in Settings → URL Rules.
+
+export const DEFAULT_URL_RULES = {
+  stripParams: ['utm_*', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga', '_gl', 'ref', 'source'], // Denylist
+  keepParams: [], // Allowlist, wins over stripParams
+  lowercasePath: false,
+  lowercaseQuery: false,
+  domains: [] // Per-domain rules, see DEFAULT_DOMAIN_RULE
+};
+
+/**
+ * A domain rule applies to the domain and its subdomains (the most specific rule wins)
+ */
+export const DEFAULT_DOMAIN_RULE = {
+  domain: '',
+  keepOnlyParams: [], // Non-empty: every other parameter is ignored
+  stripParams: [], // Ignored on top of the global denylist
+  ignoreHash: false,
+  ignoreAccountSegments: false, // Google-style /u/0/ account switches
+  lowercasePath: false,
+  lowercaseQuery: false
+};
+
+const ACCOUNT_SEGMENT = /\/u\/\d+(?=\/|$)/g;
+
+// Compiled rules per rules object (state objects are replaced, never mutated)
+const compiledRules = new WeakMap();
+
+// Parameter names may end in * to match a prefix (utm_*)
+function nameMatcher(names) {
+  const exact = new Set();
+  const prefixes = [];
+  (names || []).forEach(name => {
+    const trimmed = name.trim().toLowerCase();
+    if (!trimmed) return;
+    if (trimmed.endsWith('*')) {
+      prefixes.push(trimmed.slice(0, -1));
+    } else {
+      exact.add(trimmed);
+    }
+  });
+  return name => {
+    const lower = name.toLowerCase();
+    return exact.has(lower) || prefixes.some(prefix => lower.startsWith(prefix));
+  };
+}
+
+function compile(rules) {
+  let compiled = compiledRules.get(rules);
+  if (compiled) return compiled;
+
+  compiled = {
+    strip: nameMatcher(rules.stripParams),
+    keep: nameMatcher(rules.keepParams),
+    lowercasePath: !!rules.lowercasePath,
+    lowercaseQuery: !!rules.lowercaseQuery,
+    domains: (rules.domains || [])
+      .filter(rule => rule.domain)
+      .map(rule => ({
+        domain: rule.domain.trim().toLowerCase().replace(/^\*\./, ''),
+        keepOnly: rule.keepOnlyParams?.length ? nameMatcher(rule.keepOnlyParams) : null,
+        strip: nameMatcher(rule.stripParams),
+        ignoreHash: !!rule.ignoreHash,
+        ignoreAccountSegments: !!rule.ignoreAccountSegments,
+        lowercasePath: !!rule.lowercasePath,
+        lowercaseQuery: !!rule.lowercaseQuery
+      }))
+      .sort((a, b) => b.domain.length - a.domain.length)
+  };
+  compiledRules.set(rules, compiled);
+  return compiled;
+}
+
+/**
+ * Apply URL rules to a parsed URL (mutates it)
+ * Parameter precedence: a domain's keepOnlyParams, then keepParams, then the domain's and global stripParams.
+ * @param {URL} u - Parsed URL (hostname already lowercased)
+ * @param {Object} rules - URL rules (DEFAULT_URL_RULES shape)
+ * @param {Object} options - { stripTracking: apply the global denylist }
+ * @returns {{ ignoreHash: boolean }} - Hash handling is left to the caller, which builds the string
+ */
+export function applyUrlRules(u, rules, { stripTracking = true } = {}) {
+  const compiled = compile(rules || DEFAULT_URL_RULES);
+  const domainRule = compiled.domains.find(rule => u.hostname === rule.domain || u.hostname.endsWith(`.${rule.domain}`));
+
+  const keepsParam = name => {
+    if (domainRule?.keepOnly) return domainRule.keepOnly(name);
+    if (compiled.keep(name)) return true;
+    if (domainRule?.strip(name)) return false;
+    return !(stripTracking && compiled.strip(name));
+  };
+
+  const lowercaseQuery = compiled.lowercaseQuery || !!domainRule?.lowercaseQuery;
+  const params = [...u.searchParams]
+    .filter(([name]) => keepsParam(name))
+    .map(([name, value]) => (lowercaseQuery ? [name.toLowerCase(), value.toLowerCase()] : [name, value]));
+  u.search = new URLSearchParams(params).toString();
+
+  let path = u.pathname;
+  if (domainRule?.ignoreAccountSegments) {
+    path = path.replace(ACCOUNT_SEGMENT, '') || '/';
+  }
+  if (compiled.lowercasePath || domainRule?.lowercasePath) {
+    path = path.toLowerCase();
+  }
+  u.pathname = path;
+
+  return { ignoreHash: !!domainRule?.ignoreHash };
+}
+
+/**
+ * Fill missing fields of stored or imported rules
+ */
+export function normalizeUrlRules(rules) {
+  const source = rules || {};
+  const list = value => (Array.isArray(value) ? value.filter(v => typeof v === 'string' && v.trim()).map(v => v.trim()) : []);
+
+  return {
+    stripParams: Array.isArray(source.stripParams) ? list(source.stripParams) : [...DEFAULT_URL_RULES.stripParams],
+    keepParams: list(source.keepParams),
+    lowercasePath: !!source.lowercasePath,
+    lowercaseQuery: !!source.lowercaseQuery,
+    domains: (Array.isArray(source.domains) ? source.domains : [])
+      .filter(rule => typeof rule?.domain === 'string' && rule.domain.trim())
+      .map(rule => ({
+        ...DEFAULT_DOMAIN_RULE,
+        domain: rule.domain.trim().toLowerCase(),
+        keepOnlyParams: list(rule.keepOnlyParams),
+        stripParams: list(rule.stripParams),
+        ignoreHash: !!rule.ignoreHash,
+        ignoreAccountSegments: !!rule.ignoreAccountSegments,
+        lowercasePath: !!rule.lowercasePath,
+        lowercaseQuery: !!rule.lowercaseQuery
+      }))
+  };
+}
+
+/**
+ * Problems with imported URL rules (paths relative to urlRules)
+ * @returns {string[]}
+ */
+export function validateUrlRules(rules) {
+  const errors = [];
+  const isList = value => value === undefined || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+
+  if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+    return ['urlRules: must be an object'];
+  }
+  ['stripParams', 'keepParams'].forEach(key => {
+    if (!isList(rules[key])) errors.push(`urlRules.${key}: must be a list of parameter names`);
+  });
+  if (rules.domains !== undefined) {
+    if (!Array.isArray(rules.domains)) {
+      errors.push('urlRules.domains: must be a list');
+    } else {
+      rules.domains.forEach((rule, i) => {
+        if (typeof rule?.domain !== 'string' || !rule.domain.trim()) {
+          errors.push(`urlRules.domains[${i}].domain: is missing`);
+        }
+        ['keepOnlyParams', 'stripParams'].forEach(key => {
+          if (!isList(rule?.[key])) errors.push(`urlRules.domains[${i}].${key}: must be a list of parameter names`);
+        });
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Merge imported rules into the current ones (current global lists win; new domains are added)
+ * @returns {{ rules: Object, added: number }}
+ */
+export function mergeUrlRules(current, incoming) {
+  const known = new Set(current.domains.map(rule => rule.domain));
+  const added = incoming.domains.filter(rule => !known.has(rule.domain));
+  return {
+    rules: { ...current, domains: [...current.domains, ...added] },
+    added: added.length
+  };
+}
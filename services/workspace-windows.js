@@ -0,0 +1,88 @@
+// Workspace Windows - the 'workspace-window' open behavior gives each workspace a browser window of its own
+// Window IDs change on every restart, so the link (workspace.window) keeps the window's ordinal and the browser
+// session it was made in. A link from an earlier session is matched to a live window again on the workspace's
+// next open (see relinkWorkspaceWindow), by its position and the tabs open in it: Chrome has no per-window session
+// values (chrome.sessions.setWindowValue is Firefox-only), so there's no tag to carry the link across restarts.
+
+import { canonicalizeUrl } from "./tab-matcher.js";
+import { getWindowOrdinals } from "./tab-aliases.js";
+
+const BROWSER_SESSION_KEY = 'browserSession';
+
+let browserSessionPromise = null;
+
+/**
+ * ID of the current browser session (chrome.storage.session is emptied when the browser quits)
+ */
+export function browserSession() {
+  if (!browserSessionPromise) {
+    browserSessionPromise = (async () => {
+      const result = await chrome.storage.session.get(BROWSER_SESSION_KEY);
+      if (result[BROWSER_SESSION_KEY]) return result[BROWSER_SESSION_KEY];
+
+      const id = crypto.randomUUID();
+      await chrome.storage.session.set({ [BROWSER_SESSION_KEY]: id });
+      return id;
+    })();
+  }
+  return browserSessionPromise;
+}
+
+/**
+ * Link stored on a workspace: { windowId, ordinal, session }
+ * The window ID is only meaningful within the browser session that made the link.
+ */
+export function windowLink(windowId, windowOrdinals, session) {
+  return { windowId, ordinal: windowOrdinals.get(windowId) ?? null, session };
+}
+
+/**
+ * Match linked workspaces to live windows
+ * A workspace gets back the unclaimed window at its old position (same ordinal) if most of that window's
+ * tabs are workspace items. Stored window IDs aren't trusted: after a restart they may belong to another
+ * window. Anything less is no match, so a workspace whose window was closed gets a new one rather than
+ * taking over a window that merely has one of its pages open.
+ * @param {Object[]} workspaces - Workspaces with a window link
+ * @param {Object[]} windows - Live windows ({ windowId, ordinal, urls: canonical URL of each tab })
+ * @param {Object} options - Passed to canonicalizeUrl (the same ones collectLiveWindows used)
+ * @returns {Map<string, Object>} - workspaceId -> window entry
+ */
+export function matchWorkspaceWindows(workspaces, windows, options = {}) {
+  const matches = new Map();
+  const claimed = new Set();
+
+  workspaces.forEach(ws => {
+    if (ws.window.ordinal == null) return;
+
+    const itemUrls = new Set(ws.items.map(item => canonicalizeUrl(item.url, options)));
+    const match = windows.find(entry =>
+      !claimed.has(entry.windowId) &&
+      entry.ordinal === ws.window.ordinal &&
+      entry.urls.filter(url => itemUrls.has(url)).length * 2 > entry.urls.length
+    );
+    if (match) {
+      matches.set(ws.id, match);
+      claimed.add(match.windowId);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Look up live windows with their ordinals and canonical tab URLs
+ * @param {Object} options - Passed to canonicalizeUrl
+ * @returns {Promise<Object[]>} - [{ windowId, ordinal, urls }]
+ */
+export async function collectLiveWindows(options = {}) {
+  const [windows, windowOrdinals] = await Promise.all([
+    chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }),
+    getWindowOrdinals()
+  ]);
+
+  return windows.map(window => ({
+    windowId: window.id,
+    ordinal: windowOrdinals.get(window.id) ?? null,
+    urls: (window.tabs || []).map(tab => canonicalizeUrl(tab.url || tab.pendingUrl || '', options))
+  }));
+}
@@ -5,6 +5,9 @@ let favoritesGrid = null;
 let workspacesList = null;
 let searchTimeout = null;
 
+// Undo/redo for sidebar mutations (attached to Storage once onboarding is done)
+const undoJournal = new UndoJournal();
+
 // Connect to background script for toggle functionality
 const panelPort = chrome.runtime.connect({ name: 'sidepanel' });
 panelPort.onMessage.addListener((message) => {
@@ -15,88 +18,151 @@ panelPort.onMessage.addListener((message) => {
 
 // Tab state tracking for indicators
 let tabStates = {
-  favorites: {}, // favoriteId -> { tabCount, isActive, tabIds[] }
-  workspaceItems: {} // itemId -> { tabCount, isActive, tabIds[] }
+  favorites: {}, // favoriteId -> { tabCount, isActive, elsewhere, windows[], tabIds[] } (see updateTabStates)
+  workspaceItems: {} // itemId -> same shape
 };
 
-// Calculate tab states for all favorites and workspace items
-async function calculateTabStates() {
-  const tabs = await chrome.tabs.query({ currentWindow: true });
-  const activeTab = tabs.find(t => t.active);
+// Reverse index streamed from the background TabCache, so indicators never re-match every tab
+const tabIndex = new Map(); // tabId -> { windowId, url, active, targets: ['favorite:<id>', 'workspace-item:<id>'] }
+const tabsByTarget = new Map(); // target key -> Set<tabId>
+let panelWindowId = null;
 
-  // Reset states
-  tabStates = {
-    favorites: {},
-    workspaceItems: {}
-  };
+// Apply reverse index entries; returns the target keys whose indicators may have changed
+function applyTabIndexEntries(entries) {
+  const dirty = new Set();
 
-  // For each tab, check which favorites and workspace items match
-  for (const tab of tabs) {
-    if (!tab.url || tab.url.startsWith('chrome://') || tab.url.startsWith('edge://')) {
-      continue;
-    }
+  entries.forEach(entry => {
+    tabIndex.get(entry.tabId)?.targets.forEach(key => {
+      dirty.add(key);
+      tabsByTarget.get(key)?.delete(entry.tabId);
+    });
 
-    // Check favorites
-    for (const fav of state.favorites) {
-      if (matchesUrl(tab.url, fav.url)) {
-        if (!tabStates.favorites[fav.id]) {
-          tabStates.favorites[fav.id] = { tabCount: 0, isActive: false, tabIds: [] };
-        }
-        tabStates.favorites[fav.id].tabCount++;
-        tabStates.favorites[fav.id].tabIds.push(tab.id);
-        if (tab.id === activeTab?.id) {
-          tabStates.favorites[fav.id].isActive = true;
-        }
-      }
+    if (entry.removed) {
+      tabIndex.delete(entry.tabId);
+      return;
     }
 
-    // Check workspace items
-    for (const [workspaceId, workspace] of Object.entries(state.workspaces)) {
-      for (const item of workspace.items) {
-        if (matchesUrl(tab.url, item.url)) {
-          if (!tabStates.workspaceItems[item.id]) {
-            tabStates.workspaceItems[item.id] = { tabCount: 0, isActive: false, tabIds: [] };
-          }
-          tabStates.workspaceItems[item.id].tabCount++;
-          tabStates.workspaceItems[item.id].tabIds.push(tab.id);
-          if (tab.id === activeTab?.id) {
-            tabStates.workspaceItems[item.id].isActive = true;
-          }
-        }
+    tabIndex.set(entry.tabId, entry);
+    entry.targets.forEach(key => {
+      dirty.add(key);
+      if (!tabsByTarget.has(key)) {
+        tabsByTarget.set(key, new Set());
       }
+      tabsByTarget.get(key).add(entry.tabId);
+    });
+  });
+
+  return dirty;
+}
+
+// "this window", or "window 2" for the others (numbered by age, oldest first)
+function windowLabel(windowId) {
+  if (windowId === panelWindowId) return 'this window';
+  const windowIds = [...new Set([...tabIndex.values()].map(tab => tab.windowId).concat(windowId))].sort((a, b) => a - b);
+  return `window ${windowIds.indexOf(windowId) + 1}`;
+}
+
+// Indicator state of a set of tabs (indexed tab IDs)
+// Matches in every window count; isActive means active in this window, elsewhere that none are in it
+function describeTabs(tabIds) {
+  const countByWindow = new Map();
+  tabIds.forEach(tabId => {
+    const { windowId } = tabIndex.get(tabId);
+    countByWindow.set(windowId, (countByWindow.get(windowId) || 0) + 1);
+  });
+
+  return {
+    tabCount: tabIds.length,
+    isActive: tabIds.some(tabId => tabIndex.get(tabId).active && tabIndex.get(tabId).windowId === panelWindowId),
+    elsewhere: !countByWindow.has(panelWindowId),
+    // This window first, then the others in order
+    windows: [...countByWindow]
+      .sort(([a], [b]) => (b === panelWindowId) - (a === panelWindowId) || a - b)
+      .map(([windowId, count]) => ({ windowId, label: windowLabel(windowId), count })),
+    tabIds
+  };
+}
+
+// Recompute the indicators of some targets from the index
+function updateTabStates(keys) {
+  keys.forEach(key => {
+    const separator = key.indexOf(':');
+    const id = key.slice(separator + 1);
+    const states = key.slice(0, separator) === 'favorite' ? tabStates.favorites : tabStates.workspaceItems;
+
+    const tabIds = Array.from(tabsByTarget.get(key) || []);
+    if (tabIds.length === 0) {
+      delete states[id];
+      return;
     }
-  }
+    states[id] = describeTabs(tabIds);
+  });
 }
 
-// Simple URL matching helper (domain-level matching like Arc)
-function matchesUrl(tabUrl, targetUrl) {
-  try {
-    const tabUrlObj = new URL(tabUrl);
-    const targetUrlObj = new URL(targetUrl);
+// Whether a target's bound tab has navigated away from the target's own URL
+// Favorites keep their tab wherever it goes (the binding is only cleared when the tab closes)
+function isTargetDrifted(target) {
+  const tab = tabIndex.get(target.lastBoundTabId);
+  if (!tab?.url) return false;
 
-    // Arc-style behavior: Match at domain level
-    // When you favorite "news.almaconnect.com/feed", it should match
-    // ANY page on "news.almaconnect.com" (including /smartpublish, /settings, etc.)
+  const options = { rules: state.urlRules, stripTracking: state.preferences.stripTrackingParams !== false };
+  return TabMatcher.canonicalizeUrl(tab.url, options) !== TabMatcher.canonicalizeUrl(target.url, options);
+}
 
-    // This ensures indicators stay visible when navigating within the same site
-    return tabUrlObj.hostname === targetUrlObj.hostname;
-  } catch {
-    return false;
+// Calculate tab states for all favorites and workspace items
+// Loads the whole index; tab events then arrive incrementally (see setupTabStateListeners)
+async function calculateTabStates() {
+  if (panelWindowId === null) {
+    panelWindowId = (await chrome.windows.getCurrent()).id;
+  }
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'tab-index:get' });
+  } catch (error) {
+    response = { ok: false, error: error.message };
+  }
+  if (!response?.ok) {
+    console.warn('[TabStates] Could not load the tab index:', response?.error);
+    return;
   }
+
+  tabIndex.clear();
+  tabsByTarget.clear();
+  tabStates = {
+    favorites: {},
+    workspaceItems: {}
+  };
+  updateTabStates(applyTabIndexEntries(response.entries));
+}
+
+// Shown instead of the panel when stored data couldn't be brought up to date (it's left as it was)
+function showMigrationError(error) {
+  document.querySelector('.panel-content').innerHTML = `
+    <div class="empty-state migration-error">
+      <p>Your favorites and workspaces couldn't be updated for this version. Nothing was changed.</p>
+      <p class="migration-error-detail">${escapeHtml(error.message)}</p>
+      <button type="button" class="btn btn-primary" id="migration-retry-btn">Try again</button>
+    </div>
+  `;
+  document.getElementById('migration-retry-btn').addEventListener('click', () => location.reload());
 }
 
 // Initialize
 async function init() {
-  state = await Storage.getState();
+  // Bring older state up to date (a no-op if the service worker already migrated it)
+  try {
+    state = await Storage.runMigrations();
+  } catch (error) {
+    // Unmigrated state isn't safe to show or edit, so the panel stops here
+    console.error('[Init] Migrations failed, state was rolled back:', error);
+    showMigrationError(error);
+    return;
+  }
 
-  // Ensure tabGrouping exists (for backwards compatibility)
-  if (!state.tabGrouping) {
-    state.tabGrouping = {
-      isGrouped: false,
-      bannerDismissed: false,
-      dismissedTooltipShown: false
-    };
-    await Storage.setState(state);
+  // Drop trash entries past the retention period
+  if (state.trash?.length > 0) {
+    state = await Storage.purgeTrash();
   }
 
   // Listen for storage updates from other contexts (always needed)
@@ -113,6 +179,7 @@ async function init() {
     // Show onboarding modal
     showOnboardingModal(async () => {
       // After onboarding completes, refresh everything
+      Storage.journal = undoJournal;
       state = await Storage.getState();
       await calculateTabStates();
       renderUI();
@@ -126,6 +193,8 @@ async function init() {
     return; // Don't continue with normal init
   }
 
+  Storage.journal = undoJournal;
+
   // Calculate tab states for indicators
   await calculateTabStates();
 
@@ -149,26 +218,42 @@ async function renderUI() {
 
 // Setup real-time tab state listeners
 function setupTabStateListeners() {
-  // Listen for tab activation (switching tabs)
-  chrome.tabs.onActivated.addListener(async (activeInfo) => {
-    await calculateTabStates();
-    renderUI();
+  // The background streams reverse index changes after tab events (created, removed, navigated,
+  // activated, moved) and after favorites or workspace tabs change
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type !== 'tabs-updated' || !state) return;
+
+    const dirty = applyTabIndexEntries(message.changes);
+    if (dirty.size > 0) {
+      updateTabStates(dirty);
+      renderUI();
+    }
   });
 
-  // Note: onCreated, onRemoved, onUpdated listeners are already at bottom of file
-  // They will call calculateTabStates() + renderUI() when needed
+  // Note: onCreated, onRemoved, onUpdated listeners at the bottom of the file refresh the Open Tabs list
 }
 
 // Render favorites grid
 function renderFavorites() {
   const container = document.getElementById('favorites-grid');
+
+  // Bindings change with state, so drift is checked on every render. A drifted tab may no longer
+  // match the favorite at all, so it's added to the favorite's indicators.
+  const favoriteStates = { ...tabStates.favorites };
+  state.favorites.forEach(fav => {
+    if (!isTargetDrifted(fav)) return;
+    const tabIds = [...new Set([...(tabStates.favorites[fav.id]?.tabIds || []), fav.lastBoundTabId])];
+    favoriteStates[fav.id] = { ...describeTabs(tabIds), drifted: true };
+  });
+
   favoritesGrid = new FavoritesGrid(
     container,
     state,
     handleAddFavorite,
     handleRemoveFavorite,
     handleClickFavorite,
-    tabStates.favorites // Pass tab states for indicators
+    favoriteStates, // Pass tab states for indicators
+    handleEditFavorite
   );
   favoritesGrid.render();
 
@@ -197,9 +282,14 @@ function renderWorkspaces() {
     onToggleCollapse: handleToggleWorkspaceCollapse,
     onRenameWorkspace: handleRenameWorkspace,
     onDeleteWorkspace: handleDeleteWorkspace,
+    onExportWorkspace: handleExport,
+    onOpenAll: handleOpenAllWorkspaceItems,
+    onCloseAll: handleCloseWorkspaceTabs,
+    onReloadAll: handleReloadWorkspaceTabs,
     onAddItem: handleAddWorkspaceItem,
     onOpenItem: handleOpenWorkspaceItem,
     onRenameItem: handleRenameWorkspaceItem,
+    onEditItem: handleEditWorkspaceItem,
     onMoveItem: handleMoveWorkspaceItem,
     onRemoveItem: handleRemoveWorkspaceItem
   }, tabStates.workspaceItems); // Pass tab states for indicators
@@ -241,6 +331,7 @@ function attachEventListeners() {
 
   // Settings
   document.getElementById('settings-btn').addEventListener('click', showSettings);
+  document.getElementById('trash-btn').addEventListener('click', showTrash);
   // Screenshot
   document.getElementById('screenshot-btn').addEventListener('click', handleScreenshot);
 
@@ -250,6 +341,9 @@ function attachEventListeners() {
 
   // Clear all tabs button
   document.getElementById('clear-all-tabs-btn').addEventListener('click', handleClearAllTabs);
+  document.getElementById('duplicates-btn').addEventListener('click', toggleDuplicatesView);
+  document.getElementById('all-windows-btn').addEventListener('click', toggleAllWindowsView);
+  document.getElementById('all-windows-btn').classList.toggle('active', !!state.preferences.openTabsAllWindows);
 
   // Ungroup tabs button
   document.getElementById('ungroup-tabs-btn').addEventListener('click', handleUngroupTabs);
@@ -272,6 +366,67 @@ function attachEventListeners() {
 
   // Initial update
   updateNavigationButtons();
+
+  // Undo/redo (Cmd/Ctrl+Z, Cmd/Ctrl+Shift+Z or Ctrl+Y)
+  document.addEventListener('keydown', handleUndoShortcut);
+}
+
+function handleUndoShortcut(e) {
+  if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+
+  // Leave text fields to the browser's own undo
+  if (e.target.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    handleUndo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    handleRedo();
+  }
+}
+
+// Undo the last sidebar mutation
+async function handleUndo() {
+  try {
+    const entry = await undoJournal.undo();
+    if (!entry) return;
+
+    await refreshAfterJournalReplay();
+    showToast(`Undid: ${entry.label}`, { actionLabel: 'Redo', onAction: handleRedo });
+  } catch (error) {
+    console.error('[Undo] Failed:', error);
+    showToast('Could not undo: ' + error.message);
+  }
+}
+
+// Redo the last undone mutation
+async function handleRedo() {
+  try {
+    const entry = await undoJournal.redo();
+    if (!entry) return;
+
+    await refreshAfterJournalReplay();
+    showToast(`Redid: ${entry.label}`, { actionLabel: 'Undo', onAction: handleUndo });
+  } catch (error) {
+    console.error('[Redo] Failed:', error);
+    showToast('Could not redo: ' + error.message);
+  }
+}
+
+async function refreshAfterJournalReplay() {
+  state = await Storage.getState();
+  await calculateTabStates();
+  renderUI();
+  if (state.preferences.showOpenTabs) {
+    await loadOpenTabs();
+  }
+}
+
+// Offer "Undo" right after a destructive action
+function showUndoToast(message) {
+  showToast(message, { actionLabel: 'Undo', onAction: handleUndo });
 }
 
 // Handle new tab creation
@@ -390,18 +545,24 @@ async function updateFooterStats() {
   const favoritesCount = state.favorites.length;
   const savedCount = Object.values(state.workspaces).reduce((sum, ws) => sum + ws.items.length, 0);
 
-  // Get actual open tabs count
+  // Get actual open tabs count (every window)
   let openTabsCount = 0;
+  let windowCount = 0;
   try {
-    const tabs = await chrome.tabs.query({ currentWindow: true });
+    const tabs = await chrome.tabs.query({ windowType: 'normal' });
     openTabsCount = tabs.length;
+    windowCount = new Set(tabs.map(tab => tab.windowId)).size;
   } catch (err) {
     // Fallback if tabs API fails
     openTabsCount = 0;
   }
 
   document.getElementById('footer-stats').textContent =
-    `${favoritesCount} favorites • ${savedCount} saved • ${openTabsCount} open`;
+    `${favoritesCount} favorites • ${savedCount} saved • ${openTabsCount} open${windowCount > 1 ? ` in ${windowCount} windows` : ''}`;
+
+  const trashCount = (state.trash || []).length;
+  document.getElementById('trash-btn').style.display = trashCount > 0 ? 'flex' : 'none';
+  document.getElementById('trash-count').textContent = trashCount;
 }
 
 // Check if URL is an active video call (not a landing page)
@@ -461,6 +622,32 @@ function isProtectedTab(tab) {
   return false;
 }
 
+// Undo reopens closed tabs at their old positions
+// closedTabs: [{ url, index, windowId }]
+function recordClosedTabs(label, closedTabs) {
+  const reopen = closedTabs.filter(t => t.url).sort((a, b) => a.index - b.index);
+  let reopenedTabIds = [];
+
+  undoJournal.record({
+    label,
+    undo: async () => {
+      reopenedTabIds = [];
+      for (const closedTab of reopen) {
+        const tab = await chrome.tabs.create({
+          url: closedTab.url,
+          index: closedTab.index,
+          windowId: closedTab.windowId,
+          active: false
+        }).catch(() => chrome.tabs.create({ url: closedTab.url, active: false })); // Window was closed
+        reopenedTabIds.push(tab.id);
+      }
+    },
+    redo: async () => {
+      await chrome.tabs.remove(reopenedTabIds);
+    }
+  });
+}
+
 // Clear all tabs handler
 async function handleClearAllTabs() {
   try {
@@ -478,6 +665,10 @@ async function handleClearAllTabs() {
     const tabIds = tabsToClose.map(t => t.id);
     await chrome.tabs.remove(tabIds);
 
+    const closedTabs = tabsToClose.map(t => ({ url: t.url || t.pendingUrl, index: t.index, windowId: t.windowId }));
+    recordClosedTabs(`Close ${closedTabs.length} tabs`, closedTabs);
+    showUndoToast(`Closed ${closedTabs.length} tabs`);
+
     // Auto-ungroup after clearing (grouping makes no sense with few tabs)
     if (state.tabGrouping?.isGrouped) {
       state = await Storage.setTabsGrouped(false);
@@ -526,70 +717,11 @@ async function handleAddFavorite() {
 async function handleRemoveFavorite(id) {
   state = await Storage.removeFavorite(id);
   renderFavorites();
+  showUndoToast('Favorite removed');
 }
 
 async function handleClickFavorite(fav, mode = null, event = null) {
-  const openMode = mode || state.preferences.openBehavior;
-
-  // Smart switching enabled?
-  if (openMode === 'smart-switch' && event) {
-    // Shift+Click: Force new tab (clear binding)
-    if (event.shiftKey) {
-      const newTab = await chrome.tabs.create({ url: fav.url });
-      await updateFavoriteBinding(fav.id, newTab.id);
-      console.log(`[SmartSwitch] Force new tab for ${fav.title || 'favorite'}`);
-      return;
-    }
-
-    try {
-      // Check binding cache first (Arc way)
-      if (fav.lastBoundTabId) {
-        const boundTab = await chrome.tabs.get(fav.lastBoundTabId).catch(() => null);
-
-        if (boundTab) {
-          // Bound tab still exists - focus it (regardless of URL!)
-          await chrome.tabs.update(boundTab.id, { active: true });
-
-          // Bring window to front if needed
-          if (boundTab.windowId) {
-            await chrome.windows.update(boundTab.windowId, { focused: true });
-          }
-
-          console.log(`[SmartSwitch] Focused bound tab ${fav.title || 'favorite'} at ${boundTab.url}`);
-          return;
-        } else {
-          // Bound tab was closed - clear binding
-          await updateFavoriteBinding(fav.id, null);
-        }
-      }
-
-      // No valid binding - try to find matching tab by URL (fallback)
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      const matchingTab = tabs.find(tab => {
-        if (!tab.url) return false;
-        // Use same domain-level matching as indicators
-        return matchesUrl(tab.url, fav.url);
-      });
-
-      if (matchingTab) {
-        // Found matching tab - focus it and bind it
-        await chrome.tabs.update(matchingTab.id, { active: true });
-        await updateFavoriteBinding(fav.id, matchingTab.id);
-        console.log(`[SmartSwitch] Focused existing ${fav.title || 'favorite'}`);
-      } else {
-        // No match - create new tab and bind it
-        const newTab = await chrome.tabs.create({ url: fav.url });
-        await updateFavoriteBinding(fav.id, newTab.id);
-        console.log(`[SmartSwitch] Created new ${fav.title || 'favorite'}`);
-      }
-    } catch (error) {
-      console.warn('[SmartSwitch] Error, falling back:', error);
-      openUrl(fav.url, 'new-tab');
-    }
-  } else {
-    // Regular open behavior
-    openUrl(fav.url, openMode);
-  }
+  await switchToTarget('favorite', fav, mode, event);
 }
 
 // Workspace handlers
@@ -651,9 +783,63 @@ async function handleRenameWorkspace(id) {
 }
 
 async function handleDeleteWorkspace(id) {
-  if (confirm('Delete this workspace and all its items?')) {
+  if (confirm('Move this workspace and all its items to the trash?')) {
+    const name = state.workspaces[id]?.name || 'Workspace';
     state = await Storage.removeWorkspace(id);
     renderWorkspaces();
+    showUndoToast(`Deleted "${name}"`);
+  }
+}
+
+// Workspace-wide actions (through the background, which knows which tabs match each item)
+async function sendWorkspaceAction(type, payload) {
+  try {
+    const response = await chrome.runtime.sendMessage({ type, payload });
+    if (!response?.ok) {
+      throw new Error(response?.error || 'No response from background');
+    }
+    return response;
+  } catch (error) {
+    showToast(`Could not update the workspace's tabs: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Open every item of a workspace, reusing tabs that are already open
+ * @param {string} where - 'current' | 'new-window' | 'background' (discarded until visited)
+ */
+async function handleOpenAllWorkspaceItems(workspaceId, where) {
+  const response = await sendWorkspaceAction('workspace:open', {
+    workspaceId,
+    where,
+    windowId: (await chrome.windows.getCurrent()).id
+  });
+  if (!response) return;
+
+  const parts = [
+    `Opened ${response.opened} tab${response.opened === 1 ? '' : 's'}`,
+    response.reused > 0 ? `${response.reused} already open` : null
+  ].filter(Boolean);
+  showToast(parts.join(' · '), { duration: 2000 });
+}
+
+async function handleCloseWorkspaceTabs(workspaceId) {
+  const response = await sendWorkspaceAction('workspace:close', { workspaceId });
+  if (!response) return;
+
+  const count = response.closed.length;
+  if (count > 0) {
+    const name = state.workspaces[workspaceId]?.name || 'workspace';
+    recordClosedTabs(`Close ${count} tabs of "${name}"`, response.closed);
+    showUndoToast(`Closed ${count} tab${count === 1 ? '' : 's'} of "${name}"`);
+  }
+}
+
+async function handleReloadWorkspaceTabs(workspaceId) {
+  const response = await sendWorkspaceAction('workspace:reload', { workspaceId });
+  if (response) {
+    showToast(`Reloaded ${response.reloaded} tab${response.reloaded === 1 ? '' : 's'}`, { duration: 1500 });
   }
 }
 
@@ -689,114 +875,299 @@ async function handleAddWorkspaceItem(workspaceId) {
 }
 
 async function handleOpenWorkspaceItem(item, mode = null, event = null) {
-  const openMode = mode || state.preferences.openBehavior;
-
-  // Smart switching enabled?
-  if (openMode === 'smart-switch' && event) {
-    // Shift+Click: Force new tab (clear binding)
-    if (event.shiftKey) {
-      const newTab = await chrome.tabs.create({ url: item.url });
-      await updateWorkspaceItemBinding(item.id, newTab.id);
-      console.log(`[SmartSwitch] Force new tab for ${item.alias || 'workspace item'}`);
-      return;
-    }
+  await switchToTarget('workspace-item', item, mode, event);
+}
 
-    try {
-      // Check binding cache first (Arc way)
-      if (item.lastBoundTabId) {
-        const boundTab = await chrome.tabs.get(item.lastBoundTabId).catch(() => null);
+/**
+ * Focus-or-open a favorite or workspace item through the background SmartSwitcher
+ * @param {string} kind - 'favorite' | 'workspace-item'
+ * @param {Object} target - Favorite or workspace item
+ * @param {string|null} mode - Open behavior override ('new-tab', 'same-tab'), 'home' to reset the tab
+ *   to the target's URL, null = item/global setting
+ * @param {Event|null} event - Click or key event (Shift: new tab, Cmd/Ctrl: background, Alt: cycle,
+ *   Alt+Shift: back to home)
+ */
+async function switchToTarget(kind, target, mode = null, event = null) {
+  const clickedElement = event?.currentTarget; // Only set while the event is dispatching
+  const modifiers = event
+    ? { shift: event.shiftKey, cmd: event.metaKey || event.ctrlKey, alt: event.altKey }
+    : {};
+
+  let response;
+  try {
+    const currentWindow = await chrome.windows.getCurrent();
+    response = await chrome.runtime.sendMessage({
+      type: 'target:switch',
+      payload: { kind, id: target.id, mode, modifiers, windowId: currentWindow.id }
+    });
+  } catch (error) {
+    response = null;
+    console.warn('[SmartSwitch] Background unreachable:', error);
+  }
 
-        if (boundTab) {
-          // Bound tab still exists - focus it (regardless of URL!)
-          await chrome.tabs.update(boundTab.id, { active: true });
+  // Open the URL directly only when the switcher never got the message; a failed switch may have
+  // opened or moved tabs already, so it's reported instead
+  if (!response) {
+    openUrl(target.url, mode === 'same-tab' ? 'same-tab' : 'new-tab');
+  } else if (!response.ok) {
+    showToast(`Could not open ${kind === 'favorite' ? 'favorite' : 'tab'}: ${response.error || 'unknown error'}`);
+  } else {
+    showSwitchFeedback(response, clickedElement);
+  }
+}
 
-          // Bring window to front if needed
-          if (boundTab.windowId) {
-            await chrome.windows.update(boundTab.windowId, { focused: true });
-          }
+// Brief confirmation of what a click did
+function showSwitchFeedback(result, element) {
+  if (element instanceof HTMLElement) {
+    element.classList.remove('switch-feedback');
+    void element.offsetWidth; // Restart the animation on repeated clicks
+    element.classList.add('switch-feedback');
+    element.addEventListener('animationend', () => element.classList.remove('switch-feedback'), { once: true });
+  }
 
-          console.log(`[SmartSwitch] Focused bound tab ${item.alias || 'workspace item'} at ${boundTab.url}`);
-          return;
-        } else {
-          // Bound tab was closed - clear binding
-          await updateWorkspaceItemBinding(item.id, null);
-        }
-      }
+  if (result.action === 'cycled') {
+    showToast(`Tab ${result.matchIndex + 1} of ${result.matchCount}`, { duration: 1500 });
+  } else if (result.action === 'home') {
+    showToast('Back to home', { duration: 1500 });
+  } else if (result.action === 'focused' && result.windowId != null && result.windowId !== panelWindowId) {
+    showToast(`Switched to ${windowLabel(result.windowId)}`, { duration: 1500 });
+  }
+}
 
-      // No valid binding - try to find matching tab by URL (fallback)
-      const tabs = await chrome.tabs.query({ currentWindow: true });
-      const matchingTab = tabs.find(tab => {
-        if (!tab.url) return false;
-        // Use same domain-level matching as indicators
-        return matchesUrl(tab.url, item.url);
-      });
+// Edit dialogs for favorites and workspace tabs (URL, name, icon and smart-switch options)
+function handleEditFavorite(favoriteId) {
+  const favorite = state.favorites.find(f => f.id === favoriteId);
+  if (!favorite) return;
 
-      if (matchingTab) {
-        // Found matching tab - focus it and bind it
-        await chrome.tabs.update(matchingTab.id, { active: true });
-        await updateWorkspaceItemBinding(item.id, matchingTab.id);
-        console.log(`[SmartSwitch] Focused existing ${item.alias || 'workspace item'}`);
-      } else {
-        // No match - create new tab and bind it
-        const newTab = await chrome.tabs.create({ url: item.url });
-        await updateWorkspaceItemBinding(item.id, newTab.id);
-        console.log(`[SmartSwitch] Created new ${item.alias || 'workspace item'}`);
-      }
-    } catch (error) {
-      console.warn('[SmartSwitch] Error, falling back:', error);
-      openUrl(item.url, 'new-tab');
-    }
-  } else {
-    // Regular open behavior
-    openUrl(item.url, openMode);
-  }
+  showEditDialog('Edit Favorite', favorite, { nameField: 'title', nameLabel: 'Title' },
+    (updates) => Storage.updateFavorite(favoriteId, updates));
 }
 
-// Helper to update workspace item binding
-async function updateFavoriteBinding(favId, tabId) {
-  await Storage.updateFavorite(favId, {
-    lastBoundTabId: tabId,
-    lastBoundAt: tabId ? Date.now() : null
-  });
-  // Refresh state
-  state = await Storage.getState();
-  // Re-render favorites so next click uses updated binding
-  renderFavorites();
+function handleEditWorkspaceItem(workspaceId, itemId) {
+  const item = state.workspaces[workspaceId]?.items.find(i => i.id === itemId);
+  if (!item) return;
+
+  showEditDialog('Edit Tab', item, { nameField: 'alias', nameLabel: 'Alias' },
+    (updates) => Storage.updateWorkspaceItem(workspaceId, itemId, updates));
+}
+
+// Option lists shared by the edit dialog and Settings ('' = use the global setting)
+const OPEN_BEHAVIOR_OPTIONS = [
+  { value: 'smart-switch', label: 'Smart switch' },
+  { value: 'same-tab', label: 'Same tab' },
+  { value: 'new-tab', label: 'New tab' },
+  { value: 'workspace-window', label: 'Workspace window' }
+];
+
+const MATCH_MODE_OPTIONS = [
+  { value: 'exact', label: 'Exact URL' },
+  { value: 'prefix', label: 'URL prefix' },
+  { value: 'domain', label: 'Same domain' },
+  { value: 'site', label: 'Same site (any subdomain)' },
+  { value: 'pattern', label: 'Pattern' }
+];
+
+const MULTI_WINDOW_OPTIONS = [
+  { value: 'focus', label: 'Switch to its window' },
+  { value: 'adopt', label: 'Move it to this window' }
+];
+
+function renderOptions(options, selected) {
+  return options
+    .map(({ value, label }) => `<option value="${value}" ${(selected || '') === value ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+}
+
+// Re-click windows offered in Settings (plus the current value if it was set elsewhere)
+function cycleCooldownOptions(current) {
+  const values = [...new Set([1000, 1500, 2000, 3000, current])].sort((a, b) => a - b);
+  return values.map(ms => ({ value: String(ms), label: `${ms / 1000} s` }));
 }
 
-async function updateWorkspaceItemBinding(itemId, tabId) {
-  // Find which workspace contains this item
-  for (const [workspaceId, workspace] of Object.entries(state.workspaces)) {
-    const itemIndex = workspace.items.findIndex(i => i.id === itemId);
-    if (itemIndex !== -1) {
-      await Storage.updateWorkspaceItem(workspaceId, itemId, {
-        lastBoundTabId: tabId,
-        lastBoundAt: tabId ? Date.now() : null
+/**
+ * Edit dialog with a live preview of the open tabs the match rule picks
+ * @param {string} title - Modal title
+ * @param {Object} target - Favorite or workspace item
+ * @param {Object} fields - { nameField: 'title' | 'alias', nameLabel }
+ * @param {Function} save - (updates) => Promise<state>
+ */
+function showEditDialog(title, target, { nameField, nameLabel }, save) {
+  const prefs = state.preferences;
+  const labelOf = (options, value) => options.find(o => o.value === value)?.label || value;
+  const withDefault = (options, current, globalValue) => renderOptions(
+    [{ value: '', label: `Default (${labelOf(options, globalValue)})` }, ...options],
+    current
+  );
+
+  // Favorites belong to no workspace, so for them the workspace window behavior is plain smart switching
+  const isFavorite = nameField === 'title';
+  const openBehaviors = isFavorite ? OPEN_BEHAVIOR_OPTIONS.filter(o => o.value !== 'workspace-window') : OPEN_BEHAVIOR_OPTIONS;
+  const defaultOpenBehavior = isFavorite && prefs.openBehavior === 'workspace-window' ? 'smart-switch' : prefs.openBehavior;
+
+  showModal(title, `
+    <form class="modal-form" id="edit-target-form">
+      <div class="form-group">
+        <label class="form-label">URL</label>
+        <input type="url" class="form-input" id="edit-url" required value="${escapeHtml(target.url)}" />
+      </div>
+      <div class="form-group">
+        <label class="form-label">${nameLabel} (optional)</label>
+        <input type="text" class="form-input" id="edit-name" value="${escapeHtml(target[nameField] || '')}" />
+      </div>
+      <div class="form-group">
+        <label class="form-label">Icon URL (optional)</label>
+        <input type="url" class="form-input" id="edit-icon" value="${escapeHtml(target.icon || '')}" placeholder="Site favicon" />
+      </div>
+      <div class="form-group">
+        <label class="form-label">Open with</label>
+        <select class="form-input" id="edit-open-behavior">
+          ${withDefault(openBehaviors, target.openBehavior, defaultOpenBehavior)}
+        </select>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Match open tabs by</label>
+        <select class="form-input" id="match-mode">
+          ${withDefault(MATCH_MODE_OPTIONS, target.matchMode, prefs.defaultMatchMode)}
+        </select>
+      </div>
+      <div class="form-group" id="match-pattern-group">
+        <label class="form-label">Pattern</label>
+        <input type="text" class="form-input" id="match-pattern" value="${escapeHtml(target.matchPattern || '')}"
+          placeholder="https://*.atlassian.net/browse/PROJ-*" spellcheck="false" />
+        <div class="form-note">* matches any text, ? one character. Wrap in slashes for a regular expression: /(jira|confluence)/</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Also matches (optional)</label>
+        <textarea class="form-input match-urls-input" id="edit-match-urls" rows="2" spellcheck="false"
+          placeholder="https://outlook.live.com/mail">${escapeHtml((target.matchUrls || []).join('\n'))}</textarea>
+        <div class="form-note">One URL or pattern per line. Tabs on these count as this ${nameField === 'title' ? 'favorite' : 'tab'}; clicking still opens the URL above.</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Matching tab in another window</label>
+        <select class="form-input" id="edit-multi-window">
+          ${withDefault(MULTI_WINDOW_OPTIONS, target.multiWindowBehavior, prefs.multiWindowBehavior)}
+        </select>
+      </div>
+      <div class="form-error" id="edit-target-error" style="display: none;"></div>
+      <div class="pattern-tester" id="pattern-tester"></div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancel-edit-target">Cancel</button>
+        <button type="submit" class="btn btn-primary" id="save-edit-target">Save</button>
+      </div>
+    </form>
+  `);
+
+  const urlInput = document.getElementById('edit-url');
+  const modeSelect = document.getElementById('match-mode');
+  const patternInput = document.getElementById('match-pattern');
+  const matchUrlsInput = document.getElementById('edit-match-urls');
+  const errorEl = document.getElementById('edit-target-error');
+  const tester = document.getElementById('pattern-tester');
+  const saveBtn = document.getElementById('save-edit-target');
+  let testTimeout = null;
+  let testRun = 0;
+
+  const showError = (message) => {
+    errorEl.textContent = message || '';
+    errorEl.style.display = message ? 'block' : 'none';
+  };
+
+  const readMatchUrls = () => matchUrlsInput.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+  const runTest = async () => {
+    const run = ++testRun;
+    const matchMode = modeSelect.value || null;
+    document.getElementById('match-pattern-group').style.display = matchMode === 'pattern' ? '' : 'none';
+
+    let response;
+    try {
+      const currentWindow = await chrome.windows.getCurrent();
+      response = await chrome.runtime.sendMessage({
+        type: 'pattern:test',
+        payload: {
+          url: urlInput.value,
+          matchMode,
+          matchPattern: patternInput.value,
+          matchUrls: readMatchUrls(),
+          windowId: currentWindow.id
+        }
       });
-      // Refresh state
-      state = await Storage.getState();
-      // Re-render workspaces so next click uses updated binding
-      renderWorkspaces();
+    } catch (error) {
+      response = { ok: false, error: error.message };
+    }
+    if (run !== testRun) return; // A newer test is on its way
+
+    const patternError = response?.ok ? response.error : null;
+    showError(patternError);
+    saveBtn.disabled = !!patternError;
+
+    if (!response?.ok) {
+      tester.innerHTML = `<div class="pattern-tester-summary">Couldn't test against open tabs: ${escapeHtml(response?.error || 'no response')}</div>`;
       return;
     }
-  }
-}
 
-// Helper function to canonicalize URLs (same logic as in tab-matcher.js)
-function canonicalizeUrl(url) {
-  try {
-    const u = new URL(url);
-    u.hostname = u.hostname.toLowerCase();
+    const { matches, total } = response;
+    tester.innerHTML = `
+      <div class="pattern-tester-summary">${matches.length} of ${total} open tabs match</div>
+      <ul class="pattern-tester-list">
+        ${matches.map((tab, index) => `
+          <li class="pattern-tester-row" title="${escapeHtml(tab.url)}">
+            <span class="pattern-tester-title">${escapeHtml(tab.title || tab.url)}${index === 0 ? ' <em>· switches here</em>' : ''}</span>
+            <span class="pattern-tester-url">${escapeHtml(tab.url)}</span>
+            <span class="pattern-tester-reasons">${escapeHtml(tab.reasons.join(' · '))}</span>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  };
 
-    // Strip tracking params
-    const trackingParams = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'fbclid', 'gclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga', '_gl', 'ref', 'source'];
-    trackingParams.forEach(param => u.searchParams.delete(param));
+  const scheduleTest = () => {
+    clearTimeout(testTimeout);
+    testTimeout = setTimeout(runTest, 150);
+  };
 
-    const path = u.pathname.replace(/\/$/, '') || '/';
-    return `${u.protocol}//${u.host}${path}${u.search}${u.hash}`;
-  } catch {
-    return url;
-  }
+  modeSelect.addEventListener('change', runTest);
+  patternInput.addEventListener('input', scheduleTest);
+  urlInput.addEventListener('input', scheduleTest);
+  matchUrlsInput.addEventListener('input', scheduleTest);
+  runTest();
+
+  document.getElementById('cancel-edit-target').addEventListener('click', hideModal);
+  document.getElementById('edit-target-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const url = urlInput.value.trim();
+    const name = document.getElementById('edit-name').value.trim();
+    const matchMode = modeSelect.value || null;
+    const matchPattern = patternInput.value.trim() || null;
+
+    if (matchMode === 'pattern' && !matchPattern) {
+      showError('Enter a pattern, or pick another match mode');
+      return;
+    }
+
+    const updates = {
+      url,
+      [nameField]: name || (nameField === 'title' ? new URL(url).hostname : null),
+      icon: document.getElementById('edit-icon').value.trim() || null,
+      openBehavior: document.getElementById('edit-open-behavior').value || null,
+      matchMode,
+      matchPattern,
+      matchUrls: readMatchUrls(),
+      multiWindowBehavior: document.getElementById('edit-multi-window').value || null
+    };
+
+    // Only write what changed, so undo restores exactly this edit
+    const sameValue = (before, after) => (Array.isArray(after)
+      ? (before || []).join('\n') === after.join('\n')
+      : (before ?? null) === after);
+    const changed = Object.fromEntries(Object.entries(updates).filter(([key, value]) => !sameValue(target[key], value)));
+    clearTimeout(testTimeout);
+    if (Object.keys(changed).length > 0) {
+      state = await save(changed);
+      renderUI();
+    }
+    hideModal();
+  });
 }
 
 async function handleRenameWorkspaceItem(workspaceId, itemId) {
@@ -829,11 +1200,13 @@ async function handleRenameWorkspaceItem(workspaceId, itemId) {
 async function handleMoveWorkspaceItem(fromWorkspaceId, toWorkspaceId, itemId) {
   state = await Storage.moveWorkspaceItem(fromWorkspaceId, toWorkspaceId, itemId);
   renderWorkspaces();
+  showUndoToast(`Moved to ${state.workspaces[toWorkspaceId]?.name || 'workspace'}`);
 }
 
 async function handleRemoveWorkspaceItem(workspaceId, itemId) {
   state = await Storage.removeWorkspaceItem(workspaceId, itemId);
   renderWorkspaces();
+  showUndoToast('Tab removed');
 }
 
 // Search functionality
@@ -915,8 +1288,9 @@ function showSearchResults(results) {
 
   // Attach click handlers
   container.querySelectorAll('.search-result-item').forEach((el, index) => {
-    el.addEventListener('click', () => {
-      openUrl(results[index].url, 'new-tab');
+    el.addEventListener('click', (e) => {
+      const result = results[index];
+      switchToTarget(result.type, result.data, null, e);
       hideSearchResults();
       document.getElementById('quick-search').value = '';
     });
@@ -950,7 +1324,13 @@ function handleSearchKeydown(e) {
     updateHighlight(items, currentIndex);
   } else if (e.key === 'Enter' && highlighted) {
     e.preventDefault();
-    highlighted.click();
+    // Keep modifiers so Shift+Enter / Alt+Enter behave like their clicks
+    highlighted.dispatchEvent(new MouseEvent('click', {
+      shiftKey: e.shiftKey,
+      altKey: e.altKey,
+      metaKey: e.metaKey,
+      ctrlKey: e.ctrlKey
+    }));
   } else if (e.key === 'Escape') {
     hideSearchResults();
     e.target.value = '';
@@ -1007,9 +1387,7 @@ function showSettings() {
           <div class="accordion-row">
             <span>Open links in</span>
             <select id="open-behavior" class="accordion-select">
-              <option value="smart-switch" ${state.preferences.openBehavior === 'smart-switch' ? 'selected' : ''}>Smart switch</option>
-              <option value="same-tab" ${state.preferences.openBehavior === 'same-tab' ? 'selected' : ''}>Same tab</option>
-              <option value="new-tab" ${state.preferences.openBehavior === 'new-tab' ? 'selected' : ''}>New tab</option>
+              ${renderOptions(OPEN_BEHAVIOR_OPTIONS, state.preferences.openBehavior)}
             </select>
           </div>
           <div class="accordion-row">
@@ -1019,37 +1397,140 @@ function showSettings() {
               <span class="toggle-slider"></span>
             </label>
           </div>
+          <div class="accordion-row">
+            <span>Sync across devices</span>
+            <label class="toggle-switch">
+              <input type="checkbox" id="sync-enabled" />
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+          <div class="accordion-status" id="sync-status">Checking sync status...</div>
         </div>
       </div>
 
-      <!-- Actions -->
+      <!-- Smart Switching -->
       <div class="accordion-item">
-        <button class="accordion-header" data-section="actions">
-          <span>Actions</span>
+        <button class="accordion-header" data-section="smart-switching">
+          <span>Smart Switching</span>
           <svg class="accordion-chevron" width="16" height="16" viewBox="0 0 16 16" fill="none">
             <path d="M6 4L10 8L6 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
           </svg>
         </button>
-        <div class="accordion-content" id="actions">
+        <div class="accordion-content" id="smart-switching">
           <div class="accordion-row">
-            <span>Group tabs by site</span>
-            <button type="button" class="accordion-btn" id="group-tabs-btn">Group</button>
+            <span>Match open tabs by</span>
+            <select id="default-match-mode" class="accordion-select">
+              ${renderOptions(MATCH_MODE_OPTIONS.filter(o => o.value !== 'pattern'), state.preferences.defaultMatchMode)}
+            </select>
           </div>
           <div class="accordion-row">
-            <span>Import bookmarks</span>
-            <button type="button" class="accordion-btn" id="import-bookmarks-btn">Import</button>
+            <span>Tab in another window</span>
+            <select id="multi-window-behavior" class="accordion-select">
+              ${renderOptions(MULTI_WINDOW_OPTIONS, state.preferences.multiWindowBehavior)}
+            </select>
           </div>
-          ${state.tabGrouping?.bannerDismissed ? `
           <div class="accordion-row">
-            <span>Show grouping hints</span>
-            <button type="button" class="accordion-btn" id="show-hints-btn">Enable</button>
+            <span>Click again to cycle tabs</span>
+            <label class="toggle-switch">
+              <input type="checkbox" id="cycle-on-reclick" ${state.preferences.enableCycleOnReclick ? 'checked' : ''} />
+              <span class="toggle-slider"></span>
+            </label>
           </div>
-          ` : ''}
-        </div>
-      </div>
-
-      <div class="accordion-footer">
-        ⌘+Shift+E to toggle panel
+          <div class="accordion-row">
+            <span>Second click within</span>
+            <select id="cycle-cooldown" class="accordion-select">
+              ${renderOptions(cycleCooldownOptions(state.preferences.cycleCooldown), String(state.preferences.cycleCooldown))}
+            </select>
+          </div>
+          <div class="accordion-row">
+            <span>Ignore tracking parameters</span>
+            <label class="toggle-switch">
+              <input type="checkbox" id="strip-tracking-params" ${state.preferences.stripTrackingParams ? 'checked' : ''} />
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+          <div class="accordion-row">
+            <span>Switch to an already open page</span>
+            <label class="toggle-switch">
+              <input type="checkbox" id="duplicate-guard" ${state.preferences.duplicateGuard ? 'checked' : ''} />
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+          <div class="accordion-row">
+            <span>Except on</span>
+            <input type="text" id="duplicate-guard-allowlist" class="accordion-input" spellcheck="false"
+              value="${escapeHtml((state.preferences.duplicateGuardAllowlist || []).join(', '))}" placeholder="docs.google.com, *://*/search*" />
+          </div>
+          <div class="accordion-status">New tabs opening a page that's already open switch to that tab instead.</div>
+          <div class="accordion-row">
+            <span>Keep favorites on their site</span>
+            <label class="toggle-switch">
+              <input type="checkbox" id="open-external-links" ${state.preferences.openExternalLinksInNewTab ? 'checked' : ''} />
+              <span class="toggle-slider"></span>
+            </label>
+          </div>
+          <div class="accordion-status">Links to other sites clicked in a favorite's tab open in a new tab next to it.</div>
+          <div class="accordion-row">
+            <span>URL rules · ${state.urlRules.domains.length} domains</span>
+            <button type="button" class="accordion-btn" id="url-rules-btn">Edit</button>
+          </div>
+        </div>
+      </div>
+
+      <!-- Actions -->
+      <div class="accordion-item">
+        <button class="accordion-header" data-section="actions">
+          <span>Actions</span>
+          <svg class="accordion-chevron" width="16" height="16" viewBox="0 0 16 16" fill="none">
+            <path d="M6 4L10 8L6 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+        <div class="accordion-content" id="actions">
+          <div class="accordion-row">
+            <span>Group tabs by site</span>
+            <button type="button" class="accordion-btn" id="group-tabs-btn">Group</button>
+          </div>
+          <div class="accordion-row">
+            <span>Import bookmarks</span>
+            <button type="button" class="accordion-btn" id="import-bookmarks-btn">Import</button>
+          </div>
+          <div class="accordion-row">
+            <span>Export</span>
+            <div class="accordion-btn-group">
+              <select id="export-format" class="accordion-select">
+                ${Object.entries(Storage.exportFormats).map(([format, { label }]) => `<option value="${format}">${label}</option>`).join('')}
+              </select>
+              <button type="button" class="accordion-btn" id="export-backup-btn">Export</button>
+            </div>
+          </div>
+          <div class="accordion-row">
+            <span>Import backup or other tools</span>
+            <button type="button" class="accordion-btn" id="import-backup-btn">Import</button>
+          </div>
+          ${state.tabGrouping?.bannerDismissed ? `
+          <div class="accordion-row">
+            <span>Show grouping hints</span>
+            <button type="button" class="accordion-btn" id="show-hints-btn">Enable</button>
+          </div>
+          ` : ''}
+        </div>
+      </div>
+
+      <!-- Snapshots -->
+      <div class="accordion-item">
+        <button class="accordion-header" data-section="snapshots">
+          <span>Snapshots</span>
+          <svg class="accordion-chevron" width="16" height="16" viewBox="0 0 16 16" fill="none">
+            <path d="M6 4L10 8L6 12" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+        <div class="accordion-content" id="snapshots">
+          <div class="accordion-status" id="snapshot-list">Loading snapshots...</div>
+        </div>
+      </div>
+
+      <div class="accordion-footer">
+        ⌘+Shift+E to toggle panel
       </div>
     </div>
     <div class="form-actions">
@@ -1079,6 +1560,20 @@ function showSettings() {
 
   document.getElementById('cancel-settings').addEventListener('click', hideModal);
 
+  // Sync status line (quota in use, or why sync fell back to local storage)
+  let syncStatus = null;
+  Storage.getSyncStatus().then((status) => {
+    syncStatus = status;
+    document.getElementById('sync-enabled').checked = status.area === 'sync';
+    document.getElementById('sync-status').textContent = formatSyncStatus(status);
+  }).catch((error) => {
+    console.error('[Settings] Failed to load sync status:', error);
+    document.getElementById('sync-status').textContent = 'Sync status unavailable';
+  });
+
+  // Snapshot list (restoring replaces everything, so it asks first)
+  renderSnapshotList(document.getElementById('snapshot-list'));
+
   // Quick Access buttons - focus existing tab or create new
   async function openOrFocusTab(url) {
     const tabs = await chrome.tabs.query({ url });
@@ -1098,6 +1593,8 @@ function showSettings() {
   document.getElementById('open-bookmarks-btn').addEventListener('click', () => openOrFocusTab('chrome://bookmarks/'));
   document.getElementById('open-extensions-btn').addEventListener('click', () => openOrFocusTab('chrome://extensions/'));
 
+  document.getElementById('url-rules-btn').addEventListener('click', showUrlRules);
+
   // Group tabs button
   document.getElementById('group-tabs-btn')?.addEventListener('click', async () => {
     await handleGroupTabs();
@@ -1113,6 +1610,14 @@ function showSettings() {
     }
   });
 
+  document.getElementById('export-backup-btn').addEventListener('click', () => {
+    handleExport(document.getElementById('export-format').value);
+  });
+  document.getElementById('import-backup-btn').addEventListener('click', () => {
+    hideModal();
+    handleImport();
+  });
+
   document.getElementById('import-bookmarks-btn').addEventListener('click', async () => {
     // Show confirmation
     showConfirmDialog({
@@ -1132,8 +1637,8 @@ function showSettings() {
           </div>
         `);
 
-        // Import bookmarks
-        const result = await importAllBookmarks();
+        // Import bookmarks (undoable as one step)
+        const result = await undoJournal.group('Import bookmarks', recorder => importAllBookmarks(Storage.recordingTo(recorder)));
 
         if (result.success) {
           // Show success message
@@ -1175,57 +1680,704 @@ function showSettings() {
   document.getElementById('save-settings').addEventListener('click', async () => {
     const openBehavior = document.getElementById('open-behavior').value;
     const showOpenTabs = document.getElementById('show-open-tabs').checked;
+    const syncEnabled = document.getElementById('sync-enabled').checked;
+
+    if (syncStatus && syncEnabled !== (syncStatus.area === 'sync')) {
+      try {
+        if (syncEnabled) {
+          // Another device already syncs - ask before replacing either copy
+          const adoptExisting = syncStatus.hasSyncedState &&
+            confirm('Synced data from another device was found. Use it on this device?\n\nCancel replaces the synced data with this device\'s workspaces.');
+          await Storage.setArea('sync', { adoptExisting });
+        } else {
+          await Storage.setArea('local');
+        }
+      } catch (error) {
+        console.error('[Settings] Failed to switch storage area:', error);
+        alert('Could not enable sync: ' + error.message);
+      }
+    }
 
     state = await Storage.updatePreferences({
       openBehavior,
-      showOpenTabs
+      showOpenTabs,
+      defaultMatchMode: document.getElementById('default-match-mode').value,
+      multiWindowBehavior: document.getElementById('multi-window-behavior').value,
+      enableCycleOnReclick: document.getElementById('cycle-on-reclick').checked,
+      cycleCooldown: Number(document.getElementById('cycle-cooldown').value),
+      stripTrackingParams: document.getElementById('strip-tracking-params').checked,
+      duplicateGuard: document.getElementById('duplicate-guard').checked,
+      duplicateGuardAllowlist: parseNameList(document.getElementById('duplicate-guard-allowlist').value),
+      openExternalLinksInNewTab: document.getElementById('open-external-links').checked
+    });
+
+    renderUI();
+    hideModal();
+  });
+}
+
+// Format the sync status line shown in Settings
+function formatSyncStatus(status) {
+  const usedKb = (status.bytesInUse / 1024).toFixed(1);
+  const quotaKb = Math.round(status.quotaBytes / 1024);
+
+  if (status.area === 'sync') {
+    return `Sync quota: ${usedKb} KB of ${quotaKb} KB used`;
+  }
+  if (status.fallback) {
+    return `Sync paused, data too large for sync (${status.fallback.reason}). Using local storage.`;
+  }
+  return 'Stored on this device only';
+}
+
+// URL Rules (which parameters, hashes and path segments matter when URLs are compared)
+function parseNameList(value) {
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+function describeDomainRule(rule) {
+  const parts = [];
+  if (rule.keepOnlyParams.length) parts.push(`keeps only ${rule.keepOnlyParams.join(', ')}`);
+  if (rule.stripParams.length) parts.push(`ignores ${rule.stripParams.join(', ')}`);
+  if (rule.ignoreHash) parts.push('ignores #hash');
+  if (rule.ignoreAccountSegments) parts.push('ignores /u/0/');
+  if (rule.lowercasePath || rule.lowercaseQuery) parts.push('ignores case');
+  return parts.join(' · ') || 'No changes';
+}
+
+function showUrlRules() {
+  const rules = structuredClone(state.urlRules);
+  let editingIndex = null; // Index into rules.domains, or rules.domains.length for a new rule
+
+  showModal('URL Rules', `
+    <form class="modal-form" id="url-rules-form">
+      <div class="form-group">
+        <label class="form-label">Ignore these parameters</label>
+        <input type="text" class="form-input" id="url-rules-strip" value="${escapeHtml(rules.stripParams.join(', '))}" spellcheck="false" />
+        <div class="form-note">Comma-separated. utm_* ignores every utm_ parameter. Applies when "Ignore tracking parameters" is on.</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Always keep</label>
+        <input type="text" class="form-input" id="url-rules-keep" value="${escapeHtml(rules.keepParams.join(', '))}" placeholder="e.g. ref" spellcheck="false" />
+      </div>
+      <div class="accordion-row">
+        <span>Ignore case in paths</span>
+        <label class="toggle-switch">
+          <input type="checkbox" id="url-rules-lowercase-path" ${rules.lowercasePath ? 'checked' : ''} />
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <div class="accordion-row">
+        <span>Ignore case in parameters</span>
+        <label class="toggle-switch">
+          <input type="checkbox" id="url-rules-lowercase-query" ${rules.lowercaseQuery ? 'checked' : ''} />
+          <span class="toggle-slider"></span>
+        </label>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Domain rules</label>
+        <div class="url-rules-list" id="domain-rule-list"></div>
+        <div class="url-rules-editor" id="domain-rule-editor" style="display: none;">
+          <input type="text" class="form-input" id="domain-rule-domain" placeholder="example.com (includes subdomains)" spellcheck="false" />
+          <input type="text" class="form-input" id="domain-rule-keep-only" placeholder="Keep only these parameters, e.g. id" spellcheck="false" />
+          <input type="text" class="form-input" id="domain-rule-strip" placeholder="Also ignore these parameters" spellcheck="false" />
+          <label class="url-rules-check"><input type="checkbox" id="domain-rule-hash" /> Ignore #hash</label>
+          <label class="url-rules-check"><input type="checkbox" id="domain-rule-account" /> Ignore account segments (/u/0/)</label>
+          <label class="url-rules-check"><input type="checkbox" id="domain-rule-case" /> Ignore case</label>
+          <div class="accordion-btn-group">
+            <button type="button" class="accordion-btn" id="domain-rule-done">Done</button>
+            <button type="button" class="accordion-btn" id="domain-rule-cancel">Cancel</button>
+          </div>
+        </div>
+        <button type="button" class="accordion-btn" id="add-domain-rule">Add domain rule</button>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Try a URL</label>
+        <input type="text" class="form-input" id="url-rules-test" placeholder="https://mail.google.com/mail/u/0/#inbox" spellcheck="false" />
+        <div class="form-note" id="url-rules-result"></div>
+      </div>
+      <div class="form-error" id="url-rules-error" style="display: none;"></div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancel-url-rules">Cancel</button>
+        <button type="submit" class="btn btn-primary">Save</button>
+      </div>
+    </form>
+  `);
+
+  const editor = document.getElementById('domain-rule-editor');
+  const addBtn = document.getElementById('add-domain-rule');
+  const errorEl = document.getElementById('url-rules-error');
+
+  const currentRules = () => ({
+    ...rules,
+    stripParams: parseNameList(document.getElementById('url-rules-strip').value),
+    keepParams: parseNameList(document.getElementById('url-rules-keep').value),
+    lowercasePath: document.getElementById('url-rules-lowercase-path').checked,
+    lowercaseQuery: document.getElementById('url-rules-lowercase-query').checked
+  });
+
+  const updateTest = () => {
+    const url = document.getElementById('url-rules-test').value.trim();
+    const result = document.getElementById('url-rules-result');
+    result.textContent = url
+      ? `Compared as: ${TabMatcher.canonicalizeUrl(url, {
+        rules: currentRules(),
+        stripTracking: state.preferences.stripTrackingParams !== false
+      })}`
+      : '';
+  };
+
+  const renderList = () => {
+    const list = document.getElementById('domain-rule-list');
+    list.innerHTML = rules.domains.length === 0 ? '<div class="form-note">No domain rules yet</div>' : '';
+    rules.domains.forEach((rule, index) => {
+      const row = document.createElement('div');
+      row.className = 'accordion-row url-rules-row';
+      row.innerHTML = `
+        <div class="url-rules-info">
+          <span class="url-rules-domain">${escapeHtml(rule.domain)}</span>
+          <span class="url-rules-summary">${escapeHtml(describeDomainRule(rule))}</span>
+        </div>
+        <div class="accordion-btn-group">
+          <button type="button" class="accordion-btn" data-action="edit">Edit</button>
+          <button type="button" class="accordion-btn danger" data-action="delete" title="Delete rule">✕</button>
+        </div>
+      `;
+      row.querySelector('[data-action="edit"]').addEventListener('click', () => openEditor(index));
+      row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        rules.domains.splice(index, 1);
+        renderList();
+        updateTest();
+      });
+      list.appendChild(row);
     });
+  };
+
+  const openEditor = (index) => {
+    const rule = rules.domains[index] || {};
+    editingIndex = index;
+    document.getElementById('domain-rule-domain').value = rule.domain || '';
+    document.getElementById('domain-rule-keep-only').value = (rule.keepOnlyParams || []).join(', ');
+    document.getElementById('domain-rule-strip').value = (rule.stripParams || []).join(', ');
+    document.getElementById('domain-rule-hash').checked = !!rule.ignoreHash;
+    document.getElementById('domain-rule-account').checked = !!rule.ignoreAccountSegments;
+    document.getElementById('domain-rule-case').checked = !!(rule.lowercasePath || rule.lowercaseQuery);
+    editor.style.display = '';
+    addBtn.style.display = 'none';
+    document.getElementById('domain-rule-domain').focus();
+  };
+
+  const closeEditor = () => {
+    editingIndex = null;
+    editor.style.display = 'none';
+    addBtn.style.display = '';
+  };
+
+  document.getElementById('domain-rule-done').addEventListener('click', () => {
+    const domain = document.getElementById('domain-rule-domain').value.trim().toLowerCase()
+      .replace(/^[a-z]+:\/\//, '').replace(/\/.*$/, '');
+    if (!domain) {
+      errorEl.textContent = 'Enter a domain for the rule';
+      errorEl.style.display = 'block';
+      return;
+    }
+    if (rules.domains.some((rule, i) => rule.domain === domain && i !== editingIndex)) {
+      errorEl.textContent = `There is already a rule for ${domain}`;
+      errorEl.style.display = 'block';
+      return;
+    }
+    errorEl.style.display = 'none';
+
+    const ignoreCase = document.getElementById('domain-rule-case').checked;
+    rules.domains[editingIndex] = {
+      domain,
+      keepOnlyParams: parseNameList(document.getElementById('domain-rule-keep-only').value),
+      stripParams: parseNameList(document.getElementById('domain-rule-strip').value),
+      ignoreHash: document.getElementById('domain-rule-hash').checked,
+      ignoreAccountSegments: document.getElementById('domain-rule-account').checked,
+      lowercasePath: ignoreCase,
+      lowercaseQuery: ignoreCase
+    };
+    closeEditor();
+    renderList();
+    updateTest();
+  });
 
+  document.getElementById('domain-rule-cancel').addEventListener('click', closeEditor);
+  // Enter finishes the domain rule instead of submitting the whole form
+  editor.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      document.getElementById('domain-rule-done').click();
+    }
+  });
+  addBtn.addEventListener('click', () => openEditor(rules.domains.length));
+  document.getElementById('url-rules-form').addEventListener('input', updateTest);
+  document.getElementById('cancel-url-rules').addEventListener('click', hideModal);
+
+  document.getElementById('url-rules-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    state = await Storage.setUrlRules(currentRules());
+    await calculateTabStates();
     renderUI();
     hideModal();
   });
+
+  renderList();
+}
+
+// Trash
+const TRASH_RETENTION_OPTIONS = [7, 30, 90];
+
+function describeTrashEntry(entry) {
+  const { type, data, origin } = entry;
+  if (type === 'favorite') {
+    return { title: data.title || new URL(data.url).hostname, from: 'Favorites' };
+  }
+  if (type === 'workspace') {
+    return { title: data.name, from: `Workspace · ${data.items.length} tabs` };
+  }
+  return { title: data.alias || data.title || new URL(data.url).hostname, from: origin.workspaceName };
+}
+
+function showTrash() {
+  const retentionDays = state.preferences.trashRetentionDays;
+  const entries = state.trash || [];
+
+  showModal('Trash', `
+    <div class="trash-list" id="trash-list">
+      ${entries.length === 0 ? '<div class="empty-state">Trash is empty</div>' : ''}
+    </div>
+    <div class="accordion-row">
+      <span>Keep deleted items for</span>
+      <select id="trash-retention" class="accordion-select">
+        ${TRASH_RETENTION_OPTIONS.map(days => `<option value="${days}" ${days === retentionDays ? 'selected' : ''}>${days} days</option>`).join('')}
+      </select>
+    </div>
+    <div class="form-actions">
+      <button type="button" class="btn btn-danger" id="empty-trash" ${entries.length === 0 ? 'disabled' : ''}>Empty trash</button>
+      <button type="button" class="btn btn-secondary" id="close-trash">Close</button>
+    </div>
+  `);
+
+  const list = document.getElementById('trash-list');
+  entries.forEach(entry => {
+    const { title, from } = describeTrashEntry(entry);
+    const row = document.createElement('div');
+    row.className = 'accordion-row trash-row';
+    row.innerHTML = `
+      <div class="trash-info">
+        <span class="trash-title">${escapeHtml(title)}</span>
+        <span class="trash-meta">${escapeHtml(from)} · deleted ${new Date(entry.deletedAt).toLocaleString()}</span>
+      </div>
+      <div class="accordion-btn-group">
+        <button type="button" class="accordion-btn" data-action="restore">Restore</button>
+        <button type="button" class="accordion-btn danger" data-action="delete" title="Delete forever">✕</button>
+      </div>
+    `;
+
+    row.querySelector('[data-action="restore"]').addEventListener('click', async () => {
+      try {
+        state = await Storage.restoreFromTrash(entry.id);
+        renderUI();
+        showTrash();
+        showUndoToast(`Restored "${title}"`);
+      } catch (error) {
+        console.error('[Trash] Restore failed:', error);
+        alert('Restore failed: ' + error.message);
+      }
+    });
+
+    row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+      state = await Storage.deleteFromTrash(entry.id);
+      updateFooterStats();
+      showTrash();
+    });
+
+    list.appendChild(row);
+  });
+
+  document.getElementById('trash-retention').addEventListener('change', async (e) => {
+    state = await Storage.updatePreferences({ trashRetentionDays: Number(e.target.value) });
+    state = await Storage.purgeTrash();
+    updateFooterStats();
+    showTrash();
+  });
+
+  document.getElementById('empty-trash').addEventListener('click', async () => {
+    if (!confirm(`Permanently delete ${entries.length} items in the trash? This can't be undone.`)) return;
+    state = await Storage.emptyTrash();
+    updateFooterStats();
+    hideModal();
+  });
+
+  document.getElementById('close-trash').addEventListener('click', hideModal);
+}
+
+// Snapshots
+async function renderSnapshotList(container) {
+  let snapshots;
+  try {
+    snapshots = await Storage.listSnapshots();
+  } catch (error) {
+    console.error('[Settings] Failed to load snapshots:', error);
+    container.textContent = 'Snapshots unavailable';
+    return;
+  }
+
+  if (snapshots.length === 0) {
+    container.textContent = 'No snapshots yet. One is taken every hour when something changed.';
+    return;
+  }
+
+  container.className = 'snapshot-list';
+  container.innerHTML = '';
+
+  snapshots.forEach(snapshot => {
+    const row = document.createElement('div');
+    row.className = 'accordion-row snapshot-row';
+    row.innerHTML = `
+      <div class="snapshot-info">
+        <span class="snapshot-date">${new Date(snapshot.createdAt).toLocaleString()}</span>
+        <span class="snapshot-meta">${escapeHtml(snapshot.label)} · ${snapshot.counts.favorites} favorites, ${snapshot.counts.workspaces} workspaces</span>
+        <span class="snapshot-diff" title="${escapeHtml(describeSnapshotDiff(snapshot.diff, true))}">${escapeHtml(describeSnapshotDiff(snapshot.diff))}</span>
+      </div>
+      <button type="button" class="accordion-btn">Restore</button>
+    `;
+
+    row.querySelector('button').addEventListener('click', async () => {
+      const when = new Date(snapshot.createdAt).toLocaleString();
+      if (!confirm(`Restore the snapshot from ${when}? Your current favorites and workspaces will be replaced (a snapshot of them is taken first).`)) {
+        return;
+      }
+
+      try {
+        state = await Storage.restoreSnapshot(snapshot.id);
+        hideModal();
+        await calculateTabStates();
+        renderUI();
+        showUndoToast(`Restored snapshot from ${when}`);
+      } catch (error) {
+        console.error('[Settings] Restore failed:', error);
+        alert('Restore failed: ' + error.message);
+      }
+    });
+
+    container.appendChild(row);
+  });
+}
+
+/**
+ * Describe what restoring a snapshot changes
+ * @param {Object} diff - From Storage.listSnapshots
+ * @param {boolean} withNames - List names (for the tooltip) instead of counts
+ */
+function describeSnapshotDiff(diff, withNames = false) {
+  const parts = [
+    [diff.favoritesAdded, '+', 'favorite'],
+    [diff.favoritesRemoved, '−', 'favorite'],
+    [diff.workspacesAdded, '+', 'workspace'],
+    [diff.workspacesRemoved, '−', 'workspace']
+  ]
+    .filter(([names]) => names.length > 0)
+    .map(([names, sign, noun]) => withNames
+      ? `${sign} ${noun}s: ${names.join(', ')}`
+      : `${sign}${names.length} ${noun}${names.length === 1 ? '' : 's'}`);
+
+  if (parts.length === 0) {
+    return 'Same favorites and workspaces as now';
+  }
+  return withNames ? parts.join('\n') : parts.join(', ');
 }
 
 // Export/Import
-async function handleExport() {
-  const json = await Storage.exportData();
-  const blob = new Blob([json], { type: 'application/json' });
+async function handleExport(format = 'json', workspaceId = null, passphrase = null) {
+  // Encrypted backups ask for a passphrase first
+  if (format === 'encrypted' && !passphrase) {
+    showExportPassphrasePrompt();
+    return;
+  }
+
+  const { extension, mimeType } = Storage.exportFormats[format];
+  const content = await Storage.exportData(format, { workspaceId, passphrase });
+  const blob = new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
 
+  // Single workspaces are named after the workspace
+  const name = workspaceId
+    ? state.workspaces[workspaceId].name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'workspace'
+    : (format === 'encrypted' ? 'arc-workspaces-backup-encrypted' : 'arc-workspaces-backup');
+
   const a = document.createElement('a');
   a.href = url;
-  a.download = `arc-workspaces-backup-${Date.now()}.json`;
+  a.download = `${name}-${Date.now()}.${extension}`;
   a.click();
 
   URL.revokeObjectURL(url);
 }
 
+function showExportPassphrasePrompt() {
+  showModal('Encrypted Export', `
+    <form class="modal-form" id="export-passphrase-form">
+      <div class="form-group">
+        <label class="form-label">Passphrase</label>
+        <input type="password" class="form-input" id="export-passphrase" required minlength="8" autocomplete="new-password" />
+      </div>
+      <div class="form-group">
+        <label class="form-label">Repeat passphrase</label>
+        <input type="password" class="form-input" id="export-passphrase-repeat" required autocomplete="new-password" />
+        <div class="form-note">There is no way to recover the backup without this passphrase.</div>
+      </div>
+      <div class="form-error" id="export-passphrase-error" style="display: none;"></div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancel-export-passphrase">Cancel</button>
+        <button type="submit" class="btn btn-primary">Export</button>
+      </div>
+    </form>
+  `);
+
+  document.getElementById('cancel-export-passphrase').addEventListener('click', hideModal);
+  document.getElementById('export-passphrase-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const passphrase = document.getElementById('export-passphrase').value;
+    const errorEl = document.getElementById('export-passphrase-error');
+
+    if (passphrase !== document.getElementById('export-passphrase-repeat').value) {
+      errorEl.textContent = 'Passphrases do not match';
+      errorEl.style.display = 'block';
+      return;
+    }
+
+    const submitBtn = e.submitter;
+    submitBtn.disabled = true;
+    errorEl.style.display = 'none';
+    try {
+      await handleExport('encrypted', null, passphrase);
+      hideModal();
+    } catch (error) {
+      console.error('[Export] Encrypted export failed:', error);
+      errorEl.textContent = 'Could not export: ' + error.message;
+      errorEl.style.display = 'block';
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+// Ask for the passphrase of an encrypted backup, then continue with the normal import preview
+function showDecryptPrompt(fileName, text) {
+  showModal('Encrypted Backup', `
+    <form class="modal-form" id="decrypt-form">
+      <div class="form-group">
+        <label class="form-label">Passphrase for ${escapeHtml(fileName)}</label>
+        <input type="password" class="form-input" id="decrypt-passphrase" required autocomplete="current-password" />
+      </div>
+      <div class="form-error" id="decrypt-error" style="display: none;"></div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancel-decrypt">Cancel</button>
+        <button type="submit" class="btn btn-primary" id="confirm-decrypt">Decrypt</button>
+      </div>
+    </form>
+  `);
+
+  document.getElementById('cancel-decrypt').addEventListener('click', hideModal);
+  document.getElementById('decrypt-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const input = document.getElementById('decrypt-passphrase');
+    const errorEl = document.getElementById('decrypt-error');
+    const confirmBtn = document.getElementById('confirm-decrypt');
+
+    confirmBtn.disabled = true;
+    confirmBtn.textContent = 'Decrypting...';
+    try {
+      const decrypted = await Storage.decryptBackup(text, input.value);
+      showImportPreview(fileName, decrypted);
+    } catch (error) {
+      errorEl.textContent = error.name === 'BackupDecryptError' ? error.message : 'Could not decrypt: ' + error.message;
+      errorEl.style.display = 'block';
+      confirmBtn.disabled = false;
+      confirmBtn.textContent = 'Decrypt';
+      input.select();
+    }
+  });
+}
+
 function handleImport() {
   const input = document.createElement('input');
   input.type = 'file';
-  input.accept = 'application/json';
+  input.accept = '.json,.html,.htm,.txt,application/json,text/html,text/plain';
 
   input.addEventListener('change', async (e) => {
     const file = e.target.files[0];
     if (!file) return;
 
     const text = await file.text();
-    const success = await Storage.importData(text);
 
-    if (success) {
-      state = await Storage.getState();
-      renderUI();
-      alert('Import successful!');
-    } else {
-      alert('Import failed. Please check the file format.');
+    if (Storage.isEncryptedBackup(text)) {
+      showDecryptPrompt(file.name, text);
+      return;
+    }
+
+    // Other tools' exports (bookmarks.html, OneTab, Toby, Arc)
+    const importer = detectImporter(file.name, text);
+    if (importer) {
+      showExternalImportPreview(importer, text);
+      return;
     }
+
+    // Our own backup (invalid files get an error report in the preview)
+    showImportPreview(file.name, text);
   });
 
   input.click();
 }
 
+// Show what an import will change and let the user pick replace or merge
+async function showImportPreview(fileName, text) {
+  showModal('Restore Backup', `
+    <form class="modal-form" id="import-form">
+      <div class="form-group">
+        <label class="form-label">File</label>
+        <div class="import-file-name">${escapeHtml(fileName)}</div>
+      </div>
+      <div class="form-group">
+        <label class="form-label">Mode</label>
+        <label class="import-mode"><input type="radio" name="import-mode" value="merge" checked /> Merge into current workspaces</label>
+        <label class="import-mode"><input type="radio" name="import-mode" value="replace" /> Replace everything</label>
+      </div>
+      <div class="import-preview" id="import-preview">Checking file...</div>
+      <div class="form-actions">
+        <button type="button" class="btn btn-secondary" id="cancel-import">Cancel</button>
+        <button type="submit" class="btn btn-primary" id="confirm-import" disabled>Import</button>
+      </div>
+    </form>
+  `);
+
+  const form = document.getElementById('import-form');
+  const previewEl = document.getElementById('import-preview');
+  const confirmBtn = document.getElementById('confirm-import');
+  const selectedMode = () => form.querySelector('input[name="import-mode"]:checked').value;
+
+  async function updatePreview() {
+    const mode = selectedMode();
+    const preview = await Storage.previewImport(text, { mode });
+    if (selectedMode() !== mode) return; // Mode changed while previewing
+
+    previewEl.innerHTML = formatImportPreview(preview);
+    previewEl.classList.toggle('error', !preview.ok);
+    confirmBtn.disabled = !preview.ok;
+    confirmBtn.classList.toggle('btn-danger', preview.ok && mode === 'replace');
+    confirmBtn.classList.toggle('btn-primary', !(preview.ok && mode === 'replace'));
+  }
+
+  form.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+    radio.addEventListener('change', updatePreview);
+  });
+  document.getElementById('cancel-import').addEventListener('click', hideModal);
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    confirmBtn.disabled = true;
+
+    const result = await Storage.importData(text, { mode: selectedMode() });
+    if (!result.ok) {
+      previewEl.innerHTML = formatImportPreview(result);
+      previewEl.classList.add('error');
+      return;
+    }
+
+    hideModal();
+    state = result.state;
+    await calculateTabStates();
+    renderUI();
+    showUndoToast(result.mode === 'merge' ? 'Backup merged' : 'Backup restored');
+  });
+
+  await updatePreview();
+}
+
+// Preview and run an import from another tool
+function showExternalImportPreview(importer, text) {
+  let collection;
+  try {
+    collection = importer.parse(text);
+  } catch (error) {
+    console.error(`[Import] ${importer.name} parse failed:`, error);
+    alert(`Could not read this ${importer.name} file: ${error.message}`);
+    return;
+  }
+
+  const itemCount = collection.workspaces.reduce((sum, ws) => sum + ws.items.length, 0);
+  if (itemCount === 0 && collection.favorites.length === 0) {
+    alert(`No links found in this ${importer.name} file.`);
+    return;
+  }
+
+  const names = collection.workspaces.map(ws => escapeHtml(ws.name)).slice(0, 5).join(', ');
+  const more = collection.workspaces.length > 5 ? ` and ${collection.workspaces.length - 5} more` : '';
+
+  showConfirmDialog({
+    title: `Import from ${importer.name}?`,
+    message: `Found ${collection.workspaces.length} workspaces (${names}${more}) with ${itemCount} tabs, and ${collection.favorites.length} favorites.<br><br>Links you already saved are skipped; workspaces with the same name are added to.`,
+    confirmText: 'Import',
+    onConfirm: async () => {
+      try {
+        const summary = await applyImportedCollection(collection); // One undo entry (Storage.addCollection)
+        state = await Storage.getState();
+        await calculateTabStates();
+        renderUI();
+        showUndoToast(`Imported ${summary.items} tabs and ${summary.favorites} favorites` +
+          (summary.skipped ? ` (${summary.skipped} already saved)` : ''));
+      } catch (error) {
+        console.error('[Import] Failed:', error);
+        alert('Import failed: ' + error.message);
+      }
+    }
+  });
+}
+
+function formatImportPreview(preview) {
+  if (!preview.ok) {
+    return `
+      <p>This file can't be imported:</p>
+      <ul>${preview.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+    `;
+  }
+
+  const { summary } = preview;
+  if (preview.mode === 'merge') {
+    const lines = [
+      `${summary.favoritesAdded} favorites added` + (summary.favoritesSkipped ? `, ${summary.favoritesSkipped} already saved` : ''),
+      `${summary.workspacesAdded} new workspaces, ${summary.workspacesMerged} merged by name`,
+      `${summary.itemsAdded} tabs added` + (summary.itemsSkipped ? `, ${summary.itemsSkipped} already saved` : ''),
+      ...(summary.urlRulesAdded ? [`${summary.urlRulesAdded} URL rules added`] : [])
+    ];
+    return `<ul>${lines.map(line => `<li>${line}</li>`).join('')}</ul>`;
+  }
+
+  return `
+    <p>Your current data will be replaced:</p>
+    <ul>
+      <li>Favorites: ${summary.favoritesBefore} → ${summary.favoritesAfter}</li>
+      <li>Workspaces: ${summary.workspacesBefore} → ${summary.workspacesAfter}</li>
+      <li>Workspace tabs: ${summary.itemsBefore} → ${summary.itemsAfter}</li>
+    </ul>
+  `;
+}
+
 // Open Tabs
+let showingDuplicates = false; // Open Tabs shows the Duplicates view instead of the open tabs
+
 async function loadOpenTabs() {
+  if (showingDuplicates) {
+    await renderDuplicates();
+    return;
+  }
+  if (state.preferences.openTabsAllWindows) {
+    await renderAllWindows();
+    return;
+  }
+
   const tabs = await chrome.tabs.query({ currentWindow: true });
   const container = document.getElementById('open-tabs-list');
   const headerContainer = document.querySelector('#open-tabs-section .section-header');
@@ -1278,7 +2430,7 @@ async function loadOpenTabs() {
         }
       },
       onTabRename: handleRenameTab
-    }, state.tabAliases);
+    }, getTabAliasMap());
 
     container.appendChild(groupedUI);
   } else {
@@ -1315,77 +2467,7 @@ async function loadOpenTabs() {
     }
 
     // Render ungrouped tabs
-    tabs.forEach(tab => {
-      const alias = state.tabAliases?.[tab.id] || null;
-      const displayTitle = alias || tab.title;
-      const isActive = tab.active;
-
-      const tabEl = document.createElement('div');
-      tabEl.className = `tab-item ${isActive ? 'active' : ''}`;
-      tabEl.dataset.tabId = tab.id;
-
-      tabEl.innerHTML = `
-        <div class="tab-item-icon">${createFaviconElement(tab.url, 18).outerHTML}</div>
-        <div class="tab-item-title" title="${escapeHtml(tab.title)}">${escapeHtml(displayTitle)}</div>
-        <div class="tab-item-actions">
-          <div class="tab-status-indicator"></div>
-          <div class="tab-nav-controls">
-            <button class="tab-nav-btn" data-action="back" data-tab-id="${tab.id}" title="Go back">
-              <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
-                <path d="M9 11L5 7L9 3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-              </svg>
-            </button>
-            <button class="tab-nav-btn" data-action="forward" data-tab-id="${tab.id}" title="Go forward">
-              <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
-                <path d="M5 3L9 7L5 11" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-              </svg>
-            </button>
-            <button class="tab-nav-btn tab-close-btn" data-action="close" data-tab-id="${tab.id}" title="Close tab">
-              <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
-                <path d="M9 3L3 9M3 3L9 9" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
-              </svg>
-            </button>
-          </div>
-        </div>
-      `;
-
-      // Click to activate tab
-      tabEl.addEventListener('click', (e) => {
-        if (e.target.closest('.tab-nav-controls')) return;
-        const tabId = parseInt(tabEl.dataset.tabId);
-        chrome.tabs.update(tabId, { active: true });
-      });
-
-      // Right-click to rename
-      tabEl.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
-        const tabId = parseInt(tabEl.dataset.tabId);
-        handleRenameTab(tabId);
-      });
-
-      // Tab navigation buttons
-      tabEl.querySelectorAll('.tab-nav-btn').forEach(btn => {
-        btn.addEventListener('click', async (e) => {
-          e.stopPropagation();
-          const action = btn.dataset.action;
-          const tabId = parseInt(btn.dataset.tabId);
-
-          try {
-            if (action === 'back') {
-              await chrome.tabs.goBack(tabId);
-            } else if (action === 'forward') {
-              await chrome.tabs.goForward(tabId);
-            } else if (action === 'close') {
-              await chrome.tabs.remove(tabId);
-            }
-          } catch (err) {
-            console.error(`[TabNav] Error performing ${action}:`, err);
-          }
-        });
-      });
-
-      container.appendChild(tabEl);
-    });
+    tabs.forEach(tab => container.appendChild(createOpenTabElement(tab)));
 
     // Enable drag-and-drop for tab reordering
     enableTabDragDrop(container, async (fromIndex, toIndex, fromData, toData) => {
@@ -1428,6 +2510,239 @@ async function loadOpenTabs() {
   }
 }
 
+// Open Tabs row: click to switch (across windows), right-click to rename, back/forward/close controls
+function createOpenTabElement(tab) {
+  const alias = getTabAliasMap()[tab.id] || null;
+  const displayTitle = alias || tab.title;
+  const isActive = tab.active;
+
+  const tabEl = document.createElement('div');
+  tabEl.className = `tab-item ${isActive ? 'active' : ''}`;
+  tabEl.dataset.tabId = tab.id;
+
+  tabEl.innerHTML = `
+    <div class="tab-item-icon">${createFaviconElement(tab.url, 18).outerHTML}</div>
+    <div class="tab-item-title" title="${escapeHtml(tab.title)}">${escapeHtml(displayTitle)}</div>
+    <div class="tab-item-actions">
+      <div class="tab-status-indicator"></div>
+      <div class="tab-nav-controls">
+        <button class="tab-nav-btn" data-action="back" data-tab-id="${tab.id}" title="Go back">
+          <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+            <path d="M9 11L5 7L9 3" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+        <button class="tab-nav-btn" data-action="forward" data-tab-id="${tab.id}" title="Go forward">
+          <svg width="14" height="14" viewBox="0 0 14 14" fill="none">
+            <path d="M5 3L9 7L5 11" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+        <button class="tab-nav-btn tab-close-btn" data-action="close" data-tab-id="${tab.id}" title="Close tab">
+          <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+            <path d="M9 3L3 9M3 3L9 9" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          </svg>
+        </button>
+      </div>
+    </div>
+  `;
+
+  // Click to activate tab (bringing its window to the front when it's another one)
+  tabEl.addEventListener('click', async (e) => {
+    if (e.target.closest('.tab-nav-controls')) return;
+    const tabId = parseInt(tabEl.dataset.tabId);
+    if (tab.windowId !== panelWindowId) {
+      await chrome.windows.update(tab.windowId, { focused: true });
+    }
+    chrome.tabs.update(tabId, { active: true });
+  });
+
+  // Right-click to rename
+  tabEl.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    const tabId = parseInt(tabEl.dataset.tabId);
+    handleRenameTab(tabId);
+  });
+
+  // Tab navigation buttons
+  tabEl.querySelectorAll('.tab-nav-btn').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const action = btn.dataset.action;
+      const tabId = parseInt(btn.dataset.tabId);
+
+      try {
+        if (action === 'back') {
+          await chrome.tabs.goBack(tabId);
+        } else if (action === 'forward') {
+          await chrome.tabs.goForward(tabId);
+        } else if (action === 'close') {
+          await chrome.tabs.remove(tabId);
+        }
+      } catch (err) {
+        console.error(`[TabNav] Error performing ${action}:`, err);
+      }
+    });
+  });
+
+  return tabEl;
+}
+
+// All windows: this window's tabs first, then every other window's, each under its own header
+async function renderAllWindows() {
+  const container = document.getElementById('open-tabs-list');
+  document.getElementById('ungroup-row').style.display = 'none';
+
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+  container.innerHTML = '';
+  if (tabs.length === 0) {
+    container.innerHTML = '<div class="empty-state">No open tabs</div>';
+    return;
+  }
+
+  const tabsByWindow = new Map();
+  tabs.forEach(tab => {
+    if (!tabsByWindow.has(tab.windowId)) {
+      tabsByWindow.set(tab.windowId, []);
+    }
+    tabsByWindow.get(tab.windowId).push(tab);
+  });
+
+  [...tabsByWindow.keys()]
+    .sort((a, b) => (b === panelWindowId) - (a === panelWindowId) || a - b)
+    .forEach(windowId => {
+      const windowTabs = tabsByWindow.get(windowId).sort((a, b) => a.index - b.index);
+      const label = windowLabel(windowId);
+
+      const section = document.createElement('div');
+      section.className = 'window-section';
+      section.innerHTML = `
+        <div class="window-section-header">
+          ${escapeHtml(label.charAt(0).toUpperCase() + label.slice(1))} · ${windowTabs.length} tab${windowTabs.length === 1 ? '' : 's'}
+        </div>
+      `;
+      windowTabs.forEach(tab => section.appendChild(createOpenTabElement(tab)));
+      container.appendChild(section);
+    });
+}
+
+async function toggleAllWindowsView() {
+  state = await Storage.updatePreferences({ openTabsAllWindows: !state.preferences.openTabsAllWindows });
+  document.getElementById('all-windows-btn').classList.toggle('active', !!state.preferences.openTabsAllWindows);
+  loadOpenTabs();
+}
+
+function toggleDuplicatesView() {
+  showingDuplicates = !showingDuplicates;
+  document.getElementById('duplicates-btn').classList.toggle('active', showingDuplicates);
+  loadOpenTabs();
+}
+
+// Duplicates: tabs sharing a canonical URL across all windows, most recently used first
+async function renderDuplicates() {
+  const container = document.getElementById('open-tabs-list');
+  document.getElementById('ungroup-row').style.display = 'none';
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'duplicates:get' });
+  } catch (error) {
+    response = { ok: false, error: error.message };
+  }
+
+  container.innerHTML = '';
+  if (!response?.ok) {
+    container.innerHTML = `<div class="empty-state">Couldn't look for duplicates: ${escapeHtml(response?.error || 'no response')}</div>`;
+    return;
+  }
+
+  const { groups } = response;
+  if (groups.length === 0) {
+    container.innerHTML = '<div class="empty-state">No duplicate tabs</div>';
+    return;
+  }
+
+  const extraCount = groups.reduce((sum, group) => sum + group.tabs.slice(1).filter(tab => !tab.pinned).length, 0);
+  const summary = document.createElement('div');
+  summary.className = 'duplicates-summary';
+  summary.innerHTML = `
+    <span>${groups.length} page${groups.length === 1 ? '' : 's'} open more than once</span>
+    <button class="clear-all-btn" ${extraCount === 0 ? 'disabled' : ''}>Close duplicates, keep most recent</button>
+  `;
+  summary.querySelector('button').addEventListener('click', () => handleCloseDuplicates());
+  container.appendChild(summary);
+
+  groups.forEach(group => {
+    const groupEl = document.createElement('div');
+    groupEl.className = 'duplicate-group';
+    groupEl.innerHTML = `
+      <div class="duplicate-group-header">
+        <span class="duplicate-group-url" title="${escapeHtml(group.url)}">${escapeHtml(group.url)}</span>
+        <button class="clear-all-btn">Keep most recent</button>
+      </div>
+    `;
+    groupEl.querySelector('button').addEventListener('click', () => handleCloseDuplicates(group.url));
+
+    group.tabs.forEach((tab, index) => {
+      const meta = [
+        windowLabel(tab.windowId),
+        index === 0 ? 'most recent' : null,
+        tab.pinned ? 'pinned' : null
+      ].filter(Boolean).join(' · ');
+
+      const tabEl = document.createElement('div');
+      tabEl.className = 'tab-item';
+      tabEl.innerHTML = `
+        <div class="tab-item-icon">${createFaviconElement(tab.url, 18).outerHTML}</div>
+        <div class="tab-item-title" title="${escapeHtml(tab.url)}">${escapeHtml(getTabAliasMap()[tab.id] || tab.title || tab.url)}</div>
+        <span class="duplicate-tab-meta">${meta}</span>
+        <button class="tab-nav-btn tab-close-btn" title="Close tab">
+          <svg width="12" height="12" viewBox="0 0 12 12" fill="none">
+            <path d="M9 3L3 9M3 3L9 9" stroke="currentColor" stroke-width="2" stroke-linecap="round"/>
+          </svg>
+        </button>
+      `;
+
+      tabEl.addEventListener('click', async (e) => {
+        try {
+          if (e.target.closest('.tab-close-btn')) {
+            await chrome.tabs.remove(tab.id);
+          } else {
+            await chrome.windows.update(tab.windowId, { focused: true });
+            await chrome.tabs.update(tab.id, { active: true });
+          }
+        } catch (error) {
+          console.error('[Duplicates] Tab action failed:', error);
+        }
+      });
+
+      groupEl.appendChild(tabEl);
+    });
+
+    container.appendChild(groupEl);
+  });
+}
+
+// Close duplicates of one page (url) or of all pages, keeping each one's most recently used tab
+async function handleCloseDuplicates(url = null) {
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({ type: 'duplicates:close', payload: { url } });
+  } catch (error) {
+    response = { ok: false, error: error.message };
+  }
+
+  if (!response?.ok) {
+    showToast('Could not close duplicates: ' + (response?.error || 'no response'));
+    return;
+  }
+
+  const count = response.closed.length;
+  if (count > 0) {
+    recordClosedTabs(`Close ${count} duplicate tabs`, response.closed);
+    showUndoToast(`Closed ${count} duplicate tab${count === 1 ? '' : 's'}`);
+  }
+  loadOpenTabs();
+}
+
 // Tab grouping handlers
 async function handleGroupTabs() {
   try {
@@ -1472,10 +2787,21 @@ async function handleDismissBanner() {
   }
 }
 
+// Tab aliases are stored under their own IDs; this maps live tab IDs to alias names
+function getTabAliasMap() {
+  const map = {};
+  Object.values(state.tabAliases || {}).forEach(alias => {
+    if (alias.tabId != null) {
+      map[alias.tabId] = alias.alias;
+    }
+  });
+  return map;
+}
+
 // Rename Tab
 async function handleRenameTab(tabId) {
   const tab = await chrome.tabs.get(tabId);
-  const currentAlias = state.tabAliases?.[tabId] || '';
+  const currentAlias = getTabAliasMap()[tabId] || '';
 
   showModal('Rename Tab', `
     <form class="modal-form" id="rename-tab-form">
@@ -1544,10 +2870,6 @@ chrome.commands.onCommand.addListener((command) => {
 chrome.tabs.onCreated.addListener(async (tab) => {
   if (!state) return;
 
-  // Recalculate tab states for indicators
-  await calculateTabStates();
-  renderUI();
-
   // Refresh open tabs list if feature is enabled
   if (state.preferences?.showOpenTabs) {
     await loadOpenTabs();
@@ -1557,38 +2879,8 @@ chrome.tabs.onCreated.addListener(async (tab) => {
 chrome.tabs.onRemoved.addListener(async (closedTabId) => {
   if (!state) return;
 
-  // Check if any favorite was bound to this tab
-  if (state.favorites) {
-    for (const fav of state.favorites) {
-      if (fav.lastBoundTabId === closedTabId) {
-        // Clear the binding
-        await updateFavoriteBinding(fav.id, null);
-        console.log(`[SmartSwitch] Cleared binding for ${fav.title || 'favorite'} (tab closed)`);
-      }
-    }
-  }
-
-  // Check if any workspace item was bound to this tab
-  if (state.workspaces) {
-    for (const [workspaceId, workspace] of Object.entries(state.workspaces)) {
-      for (const item of workspace.items) {
-        if (item.lastBoundTabId === closedTabId) {
-          // Clear the binding
-          await updateWorkspaceItemBinding(item.id, null);
-          console.log(`[SmartSwitch] Cleared binding for ${item.alias || 'workspace item'} (tab closed)`);
-        }
-      }
-    }
-  }
-
-  // Remove tab alias if exists
-  if (state.tabAliases?.[closedTabId]) {
-    state = await Storage.removeTabAlias(closedTabId);
-  }
-
-  // Recalculate tab states for indicators
-  await calculateTabStates();
-  renderUI();
+  // Bindings to the closed tab are cleared by the background SmartSwitcher;
+  // indicators are updated by its tab index stream
 
   // Refresh open tabs list if feature is enabled
   if (state.preferences?.showOpenTabs) {
@@ -1599,14 +2891,17 @@ chrome.tabs.onRemoved.addListener(async (closedTabId) => {
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (!state) return;
 
-  // Recalculate tab states when URL changes
-  if (changeInfo.url || changeInfo.status === 'complete') {
-    await calculateTabStates();
-    renderUI();
-  }
-
   // Refresh open tabs list if URL or title changed and feature is enabled
   if ((changeInfo.url || changeInfo.title) && state.preferences?.showOpenTabs) {
     await loadOpenTabs();
   }
 });
+
+// Tab moved between windows (joins or leaves this window's list, changes section in the all-windows view)
+chrome.tabs.onAttached.addListener(async () => {
+  if (!state) return;
+
+  if (state.preferences?.showOpenTabs) {
+    await loadOpenTabs();
+  }
+});
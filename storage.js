@@ -1,185 +1,639 @@
 // Storage Management
-// Handles all chrome.storage.local operations with in-memory caching
+// Single state store shared by the service worker and the side panel.
+// Loaded as an ES module in both contexts; handles all chrome.storage operations with in-memory caching
 
-const STORAGE_KEY = 'state.v1';
+import { ChunkedSyncStore, SyncQuotaError } from "./services/chunked-sync.js";
+import { encryptBackup, decryptBackup, isEncryptedBackup } from "./services/backup-crypto.js";
+import { EXPORT_FORMATS, selectExport, toBookmarkHtml, toMarkdown, toOpml } from "./services/state-export.js";
+import { LATEST_VERSION, MigrationError, pendingMigrations, dryRunMigrations, applyMigrations } from "./services/migrations.js";
+import { SnapshotStore, SNAPSHOT_REASONS, diffStates } from "./services/snapshots.js";
+import { DEFAULT_TRASH_RETENTION_DAYS, createTrashEntry, addToTrash, restoreTrashEntry, expiredTrashEntries } from "./services/trash.js";
+import { MAX_MISSED_SYNCS, getWindowOrdinals, tabIdentity, matchAliases, collectLiveTabs } from "./services/tab-aliases.js";
+import { IMPORT_MODES, validateImport, normalizeImport, mergeStates, summarizeReplace, collectAdditions, removeAdditions, insertAdditions } from "./services/state-import.js";
+import { DEFAULT_URL_RULES, normalizeUrlRules } from "./services/url-rules.js";
+import { browserSession, windowLink, matchWorkspaceWindows, collectLiveWindows } from "./services/workspace-windows.js";
+import { canonicalizeUrl } from "./services/tab-matcher.js";
+
+export const STORAGE_KEY = 'state.v1';
+
+// Storage area configuration (always kept in chrome.storage.local)
+const CONFIG_KEY = 'storage.config';
+export const STORAGE_AREAS = ['local', 'sync'];
+const DEFAULT_AREA = 'local';
 
 // Default state structure
-const DEFAULT_STATE = {
+export const DEFAULT_STATE = {
   favorites: [],
   workspaces: {},
   preferences: {
-    openBehavior: 'smart-switch', // 'same-tab' | 'new-tab' | 'workspace-window' | 'smart-switch'
+    openBehavior: 'smart-switch', // 'same-tab' | 'new-tab' | 'workspace-window' (workspace tabs open in their workspace's own window) | 'smart-switch'
     showOpenTabs: true,
+    openTabsAllWindows: false, // Open Tabs lists every window's tabs, one section per window
     themeDensity: 'cozy', // 'compact' | 'cozy'
     // Smart switching preferences
-    defaultMatchMode: 'prefix', // 'exact' | 'prefix' | 'domain' | 'pattern'
+    defaultMatchMode: 'prefix', // 'exact' | 'prefix' | 'domain' | 'site' | 'pattern'
     multiWindowBehavior: 'focus', // 'focus' | 'adopt'
     enableCycleOnReclick: true,
     cycleCooldown: 1500, // milliseconds
-    stripTrackingParams: true
+    stripTrackingParams: true,
+    duplicateGuard: false, // Focus the open tab when a new tab opens a page that's already open
+    duplicateGuardAllowlist: [], // Domains or URL patterns the guard leaves alone
+    openExternalLinksInNewTab: false, // Links to other sites clicked in a favorite's tab open next to it
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS // Deleted entries are purged after this many days
   },
-  tabAliases: {}, // Map of tabId -> custom alias string
+  tabAliases: {}, // aliasId -> { id, alias, tabId, url, windowOrdinal, index, missedSyncs } (see services/tab-aliases.js)
   tabGrouping: {
     isGrouped: false, // Whether tabs are currently grouped
     bannerDismissed: false, // Whether the banner was dismissed
     dismissedTooltipShown: false // Whether the dismissed tooltip was shown
   },
-  migrationVersion: 2 // Current migration version (new installs get latest)
+  urlRules: structuredClone(DEFAULT_URL_RULES), // URL canonicalization rules (see services/url-rules.js)
+  migrationVersion: LATEST_VERSION, // New installs start at the latest migration
+  revision: 0, // Incremented on every write (optimistic concurrency check)
+  trash: [] // Soft-deleted favorites, workspaces and items (see services/trash.js)
 };
 
 // Local cache to avoid unnecessary storage reads
 let stateCache = null;
 
-// Migration system
-// Each migration is a function that takes the current state and returns the updated state
-const MIGRATIONS = [
-  // Migration 1: Enable showOpenTabs by default for existing users
-  function migration1_enableOpenTabs(state) {
-    console.log('[Migration 1] Enabling Open Tabs list by default');
-    return {
-      ...state,
-      preferences: {
-        ...state.preferences,
-        showOpenTabs: true
-      },
-      migrationVersion: 1
-    };
+// Rolling snapshots (IndexedDB), taken periodically and before migrations, imports and restores
+const snapshotStore = new SnapshotStore();
+
+// Resolved storage area ('local' | 'sync'), loaded lazily from CONFIG_KEY
+let storageArea = null;
+let storageAreaPromise = null;
+
+// Storage backends, one per area
+const localBackend = {
+  async read() {
+    const result = await chrome.storage.local.get([STORAGE_KEY]);
+    return result[STORAGE_KEY] || null;
   },
-  // Migration 2: Add tab grouping state
-  function migration2_addTabGrouping(state) {
-    console.log('[Migration 2] Adding tab grouping state');
-    return {
-      ...state,
-      tabGrouping: {
-        isGrouped: false,
-        bannerDismissed: false,
-        dismissedTooltipShown: false
-      },
-      migrationVersion: 2
-    };
+
+  async write(state) {
+    await chrome.storage.local.set({ [STORAGE_KEY]: state });
+  },
+
+  async clear() {
+    await chrome.storage.local.remove(STORAGE_KEY);
+  },
+
+  applyChanges(changes, areaName) {
+    return areaName === 'local' ? changes[STORAGE_KEY]?.newValue || null : null;
   }
-];
+};
+
+const syncBackend = new ChunkedSyncStore(chrome.storage.sync);
+
+const BACKENDS = {
+  local: localBackend,
+  sync: syncBackend
+};
+
+// Listeners notified when state changes in any context
+const changeListeners = new Set();
+
+// Write queue: writes from this context run one at a time, in call order
+let writeQueue = Promise.resolve();
+
+// Updates waiting at the end of the queue; they're applied together and saved with one write
+let openBatch = null;
+
+// Web Lock shared by the side panel and the service worker (same extension origin)
+const STATE_LOCK = 'arc-workspaces-state';
+
+// How often updateState re-applies its updater after a concurrent change before giving up
+const MAX_UPDATE_ATTEMPTS = 5;
 
 /**
- * Run all pending migrations on the state
- * @param {Object} state - Current state
- * @returns {Object} - Updated state after all migrations
+ * Resolve the configured storage area.
+ * On first run, moves state written by older builds (panel used local, service worker used sync)
+ * into the default area.
+ * @returns {Promise<string>} - 'local' | 'sync'
  */
-function runMigrations(state) {
-  // Get current migration version (0 if not set - old state)
-  const currentVersion = state.migrationVersion || 0;
+async function resolveStorageArea() {
+  const config = await readConfig();
 
-  // If already at latest version, return state unchanged
-  if (currentVersion >= MIGRATIONS.length) {
-    return state;
+  if (config && STORAGE_AREAS.includes(config.area)) {
+    return config.area;
+  }
+
+  // First run with the shared store: the default area wins if it already has data
+  const defaultResult = await chrome.storage[DEFAULT_AREA].get([STORAGE_KEY]);
+  for (const area of STORAGE_AREAS.filter(a => a !== DEFAULT_AREA)) {
+    const legacyResult = await chrome.storage[area].get([STORAGE_KEY]);
+    if (!legacyResult[STORAGE_KEY]) continue;
+
+    if (!defaultResult[STORAGE_KEY]) {
+      console.log(`[Storage] Moving existing state from ${area} to ${DEFAULT_AREA}`);
+      await chrome.storage[DEFAULT_AREA].set({ [STORAGE_KEY]: legacyResult[STORAGE_KEY] });
+    }
+    await chrome.storage[area].remove(STORAGE_KEY);
+  }
+
+  await writeConfig({ area: DEFAULT_AREA });
+  return DEFAULT_AREA;
+}
+
+async function readConfig() {
+  const result = await chrome.storage.local.get([CONFIG_KEY]);
+  return result[CONFIG_KEY] || null;
+}
+
+async function writeConfig(updates) {
+  const config = await readConfig();
+  await chrome.storage.local.set({ [CONFIG_KEY]: { ...config, ...updates } });
+}
+
+async function getStorageArea() {
+  if (storageArea) {
+    return storageArea;
+  }
+  if (!storageAreaPromise) {
+    storageAreaPromise = resolveStorageArea().then((area) => {
+      storageArea = area;
+      return area;
+    }).finally(() => {
+      storageAreaPromise = null;
+    });
+  }
+  return storageAreaPromise;
+}
+
+/**
+ * Queue a write behind all pending writes from this context
+ * @param {Function} task - Async function performing the write
+ * @returns {Promise} - Resolves with the task's result
+ */
+function enqueueWrite(task) {
+  openBatch = null; // Updates queued from here on run after this task
+  const run = writeQueue.then(task);
+  // Keep the queue going after a failed write; the caller still sees the error
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Queue an update, joining the batch of updates waiting at the end of the queue
+ * Bursts of updates (dragging, opening a workspace) then cost one storage write, which keeps
+ * chrome.storage.sync under its write-rate quotas.
+ * @param {Function} updater - Pure function: state -> new state
+ * @returns {Promise<Object>} - State after the whole batch was applied
+ */
+function enqueueUpdate(updater) {
+  return new Promise((resolve, reject) => {
+    if (!openBatch) {
+      const batch = [];
+      enqueueWrite(() => {
+        if (openBatch === batch) openBatch = null;
+        return withStateLock(() => applyUpdates(batch));
+      });
+      openBatch = batch;
+    }
+    openBatch.push({ updater, resolve, reject });
+  });
+}
+
+/**
+ * Apply a batch of updates against the latest stored state and save the result
+ * If the stored revision changes while the updaters run (e.g. a synced write from another
+ * device), they're re-applied to the new state. An updater that throws fails only its own update.
+ */
+async function applyUpdates(batch) {
+  try {
+    for (let attempt = 1; attempt <= MAX_UPDATE_ATTEMPTS; attempt++) {
+      const baseState = await readStoredState();
+      const baseRevision = baseState.revision || 0;
+      let updatedState = baseState;
+      const failed = new Map();
+      batch.forEach(entry => {
+        try {
+          updatedState = entry.updater(updatedState);
+        } catch (error) {
+          failed.set(entry, error);
+        }
+      });
+
+      const settle = state => batch.forEach(entry => {
+        if (failed.has(entry)) {
+          entry.reject(failed.get(entry));
+        } else {
+          entry.resolve(state);
+        }
+      });
+
+      // Nothing changed
+      if (updatedState === baseState) {
+        stateCache = baseState;
+        settle(baseState);
+        return;
+      }
+
+      const latestState = await readStoredState();
+      if ((latestState.revision || 0) !== baseRevision) {
+        console.warn(`[Storage] State changed during update (attempt ${attempt}), retrying`);
+        continue;
+      }
+
+      const newState = { ...updatedState, revision: baseRevision + 1 };
+      await writeState(newState);
+      settle(newState);
+      return;
+    }
+
+    throw new Error(`State kept changing during update, gave up after ${MAX_UPDATE_ATTEMPTS} attempts`);
+  } catch (error) {
+    batch.forEach(entry => entry.reject(error));
+  }
+}
+
+/**
+ * Run a task while holding the cross-context state lock
+ */
+function withStateLock(task) {
+  if (globalThis.navigator?.locks) {
+    return navigator.locks.request(STATE_LOCK, task);
   }
+  return task();
+}
 
-  console.log(`[Migrations] Running migrations from v${currentVersion} to v${MIGRATIONS.length}`);
+/**
+ * Read state straight from storage, bypassing the cache
+ */
+async function readStoredState() {
+  const area = await getStorageArea();
+  return (await BACKENDS[area].read()) || structuredClone(DEFAULT_STATE);
+}
 
-  // Run all pending migrations in order
-  let updatedState = state;
-  for (let i = currentVersion; i < MIGRATIONS.length; i++) {
-    console.log(`[Migrations] Running migration ${i + 1}...`);
-    updatedState = MIGRATIONS[i](updatedState);
+/**
+ * Write state to the active backend and cache it (callers hold the queue and lock)
+ */
+async function writeState(state) {
+  stateCache = state;
+  const area = await getStorageArea();
+  try {
+    await BACKENDS[area].write(state);
+  } catch (error) {
+    if (error instanceof SyncQuotaError) {
+      await fallBackToLocal(state, error);
+      return;
+    }
+    console.error('[Storage] Error saving state:', error);
+    throw error;
   }
+}
 
-  console.log(`[Migrations] Completed. Now at v${updatedState.migrationVersion}`);
-  return updatedState;
+/**
+ * Fall back to local storage after the sync quota was exceeded
+ * @param {Object} state - State that failed to save
+ * @param {Error} error - Quota error
+ */
+async function fallBackToLocal(state, error) {
+  console.warn('[Storage] Sync quota exceeded, falling back to local storage:', error.message);
+  await localBackend.write(state);
+  await writeConfig({
+    area: 'local',
+    syncFallback: { reason: error.message, at: Date.now() }
+  });
+  storageArea = 'local';
+  await syncBackend.clearDevice();
+}
+
+/**
+ * Notify listeners in this context that state changed
+ * @param {Object} state - New state
+ */
+function notifyStateChanged(state) {
+  changeListeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('[Storage] Change listener failed:', error);
+    }
+  });
+
+  // Side panel UI reacts through a DOM event (not available in the service worker)
+  if (typeof window !== 'undefined') {
+    window.dispatchEvent(new CustomEvent('storage-updated', {
+      detail: state
+    }));
+  }
+}
+
+/**
+ * Snapshot state before a risky write
+ * A failed snapshot is logged but doesn't block the write.
+ * @param {string} reason - Key of SNAPSHOT_REASONS
+ * @param {Object} state - State to keep
+ */
+async function snapshotBefore(reason, state) {
+  try {
+    await snapshotStore.save(state, reason);
+  } catch (error) {
+    console.error(`[Storage] Snapshot (${reason}) failed:`, error);
+  }
+}
+
+/**
+ * Parse, validate and migrate a backup file
+ * @param {string} jsonString - Backup file contents
+ * @returns {Object} - { errors, incoming } (incoming is a complete state when there are no errors)
+ */
+function parseImport(jsonString) {
+  let data;
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return { errors: [`File is not valid JSON (${error.message})`], incoming: null };
+  }
+
+  const errors = validateImport(data, LATEST_VERSION);
+  if (errors.length > 0) {
+    return { errors, incoming: null };
+  }
+
+  try {
+    return { errors, incoming: normalizeImport(applyMigrations(data), DEFAULT_STATE) };
+  } catch (error) {
+    if (error instanceof MigrationError) {
+      return { errors: [error.message], incoming: null };
+    }
+    throw error;
+  }
+}
+
+// Fields that change as a side effect of browsing (bindings, collapse) and are not undoable
+const UNJOURNALED_FIELDS = ['lastBoundTabId', 'lastBoundAt', 'collapsed', 'window'];
+
+function isJournaledUpdate(updates) {
+  return Object.keys(updates).some(key => !UNJOURNALED_FIELDS.includes(key));
+}
+
+// Drop every favorite's and workspace tab's tab binding (tab IDs are only valid in the session that saw them)
+function unbindTabs(state) {
+  const unbind = entry => (entry.lastBoundTabId == null ? entry : { ...entry, lastBoundTabId: null, lastBoundAt: null });
+  const workspaces = {};
+  Object.values(state.workspaces).forEach(ws => {
+    workspaces[ws.id] = { ...ws, items: ws.items.map(unbind) };
+  });
+  return { ...state, favorites: state.favorites.map(unbind), workspaces };
+}
+
+// New favorites, workspaces and workspace tabs
+function createFavorite(fav) {
+  return {
+    id: crypto.randomUUID(),
+    url: fav.url,
+    title: fav.title || new URL(fav.url).hostname,
+    icon: fav.icon || null,
+    // Smart switching properties
+    matchMode: fav.matchMode || null, // null = use global default
+    matchPattern: fav.matchPattern || null,
+    matchUrls: fav.matchUrls || [], // Other URLs or patterns of the same app
+    openBehavior: fav.openBehavior || null, // null = use global default
+    multiWindowBehavior: fav.multiWindowBehavior || null,
+    lastBoundTabId: null,
+    lastBoundAt: null
+  };
+}
+
+function createWorkspace(name, emoji = null) {
+  return {
+    id: crypto.randomUUID(),
+    name,
+    emoji: emoji,
+    items: [],
+    collapsed: false,
+    window: null // { windowId, ordinal, session } of its own window (see services/workspace-windows.js)
+  };
+}
+
+function createWorkspaceItem(item) {
+  return {
+    id: crypto.randomUUID(),
+    url: item.url,
+    alias: item.alias || null,
+    icon: item.icon || null,
+    // Smart switching properties (null = use global default)
+    matchMode: item.matchMode || null,
+    matchPattern: item.matchPattern || null,
+    matchUrls: item.matchUrls || [],
+    openBehavior: item.openBehavior || null,
+    multiWindowBehavior: item.multiWindowBehavior || null,
+    // Tab binding cache
+    lastBoundTabId: null,
+    lastBoundAt: null
+  };
+}
+
+// Drop everything tied to tabs and windows, for state from an earlier session (see restoreSnapshot)
+function detachFromTabs(state) {
+  const unbound = unbindTabs(state);
+  const workspaces = {};
+  Object.values(unbound.workspaces).forEach(ws => {
+    workspaces[ws.id] = ws.window ? { ...ws, window: null } : ws;
+  });
+  return { ...unbound, workspaces, tabAliases: {} };
+}
+
+// Delete without going through the trash (undo of an add: nothing the user would want back)
+function deleteFavorite(state, id) {
+  return { ...state, favorites: state.favorites.filter(f => f.id !== id) };
+}
+
+function deleteWorkspace(state, id) {
+  const { [id]: _, ...workspaces } = state.workspaces;
+  return { ...state, workspaces };
+}
+
+function deleteWorkspaceItem(state, workspaceId, itemId) {
+  const workspace = state.workspaces[workspaceId];
+  if (!workspace) return state;
+
+  return {
+    ...state,
+    workspaces: {
+      ...state.workspaces,
+      [workspaceId]: { ...workspace, items: workspace.items.filter(i => i.id !== itemId) }
+    }
+  };
+}
+
+// Copy the current values of the fields an update is about to change
+function pickFields(object, updates) {
+  const previous = {};
+  Object.keys(updates).forEach(key => {
+    previous[key] = object[key] ?? null;
+  });
+  return previous;
+}
+
+// Order entries by a list of IDs; entries missing from the list keep their place at the end
+function sortByIds(entries, ids) {
+  const position = new Map(ids.map((id, index) => [id, index]));
+  const rank = entry => (position.has(entry.id) ? position.get(entry.id) : ids.length);
+  return [...entries].sort((a, b) => rank(a) - rank(b));
 }
 
 // Storage API wrapper
-const Storage = {
+export const Storage = {
   // Get full state
   async getState() {
     if (stateCache) {
       return stateCache;
     }
 
-    return new Promise((resolve) => {
-      chrome.storage.local.get([STORAGE_KEY], (result) => {
-        const state = result[STORAGE_KEY] || DEFAULT_STATE;
-        stateCache = state;
-        resolve(state);
-      });
-    });
+    const area = await getStorageArea();
+    const state = (await BACKENDS[area].read()) || structuredClone(DEFAULT_STATE);
+    stateCache = state;
+    return state;
   },
 
-  // Save full state
+  // Check whether any state has been saved yet (getState falls back to defaults)
+  async hasState() {
+    const area = await getStorageArea();
+    return !!(await BACKENDS[area].read());
+  },
+
+  // Save full state (replaces whatever is stored)
   async setState(state) {
-    stateCache = state;
-    return new Promise((resolve, reject) => {
-      chrome.storage.local.set({ [STORAGE_KEY]: state }, () => {
-        if (chrome.runtime.lastError) {
-          console.error('[Storage] Error saving state:', chrome.runtime.lastError);
-          reject(chrome.runtime.lastError);
-        } else {
-          resolve();
-        }
-      });
-    });
+    return enqueueWrite(() => withStateLock(async () => {
+      const current = await readStoredState();
+      const newState = { ...state, revision: (current.revision || 0) + 1 };
+      await writeState(newState);
+      return newState;
+    }));
   },
 
-  // Update specific part of state
+  /**
+   * Update specific part of state
+   * Updates are queued and applied in order, each against the latest stored state.
+   * Updates queued back to back are saved together (see enqueueUpdate).
+   * @param {Function} updater - Pure function: state -> new state
+   * @returns {Promise<Object>} - New state
+   */
   async updateState(updater) {
-    const currentState = await this.getState();
-    const newState = updater(currentState);
-    await this.setState(newState);
-    return newState;
+    return enqueueUpdate(updater);
+  },
+
+  // Undo journal (attached by the side panel; the service worker does not journal)
+  journal: null,
+
+  /**
+   * Record an undoable operation in the journal, if one is attached
+   * undo and redo run against a view of Storage that doesn't record, so replaying an operation isn't
+   * recorded again while other writes made in the meantime still are.
+   * @param {string} label - Description shown in the Undo toast
+   * @param {Function} undo - Async function reverting the operation: storage => Promise
+   * @param {Function} redo - Async function applying it again: storage => Promise
+   */
+  record(label, undo, redo) {
+    if (!this.journal) return;
+
+    const replaying = Object.create(this, { record: { value() {} } });
+    this.journal.record({
+      label,
+      undo: () => undo(replaying),
+      redo: () => redo(replaying)
+    });
+  },
+
+  // View of Storage recording into another journal, e.g. a group's recorder (see UndoJournal.group)
+  recordingTo(journal) {
+    return Object.create(this, { journal: { value: journal } });
   },
 
   // Favorites operations
   async addFavorite(fav) {
-    return this.updateState(state => ({
+    const favorite = createFavorite(fav);
+
+    const newState = await this.updateState(state => ({
       ...state,
-      favorites: [...state.favorites, {
-        id: crypto.randomUUID(),
-        url: fav.url,
-        title: fav.title || new URL(fav.url).hostname,
-        icon: fav.icon || null,
-        // Smart switching properties
-        matchMode: fav.matchMode || null, // null = use global default
-        matchPattern: fav.matchPattern || null,
-        openBehavior: fav.openBehavior || null, // null = use global default
-        multiWindowBehavior: fav.multiWindowBehavior || null,
-        lastBoundTabId: null,
-        lastBoundAt: null
-      }]
+      favorites: [...state.favorites, favorite]
     }));
+
+    this.record('Add favorite',
+      storage => storage.updateState(state => deleteFavorite(state, favorite.id)),
+      storage => storage.insertFavorite(favorite));
+    return newState;
   },
 
+  // Moves the favorite to the trash
   async removeFavorite(id) {
-    return this.updateState(state => ({
-      ...state,
-      favorites: state.favorites.filter(f => f.id !== id)
-    }));
+    let entry = null;
+    const newState = await this.updateState(state => {
+      const index = state.favorites.findIndex(f => f.id === id);
+      if (index === -1) return state;
+
+      entry = createTrashEntry('favorite', state.favorites[index], { index });
+      return {
+        ...state,
+        favorites: state.favorites.filter(f => f.id !== id),
+        trash: addToTrash(state, entry)
+      };
+    });
+
+    if (entry) {
+      this.record('Remove favorite',
+        storage => storage.updateState(state => restoreTrashEntry(state, entry)),
+        storage => storage.removeFavorite(id));
+    }
+    return newState;
+  },
+
+  /**
+   * Insert an existing favorite object at a position (used to restore removed favorites)
+   * @param {number|null} index - Position (null = append)
+   */
+  async insertFavorite(favorite, index = null) {
+    return this.updateState(state => {
+      const favorites = state.favorites.filter(f => f.id !== favorite.id);
+      favorites.splice(index === null ? favorites.length : Math.min(index, favorites.length), 0, favorite);
+      return { ...state, favorites };
+    });
   },
 
   async updateFavorite(id, updates) {
-    return this.updateState(state => ({
+    let previous = null;
+    const newState = await this.updateState(state => ({
       ...state,
-      favorites: state.favorites.map(f =>
-        f.id === id ? { ...f, ...updates } : f
-      )
+      favorites: state.favorites.map(f => {
+        if (f.id !== id) return f;
+        previous = pickFields(f, updates);
+        return { ...f, ...updates };
+      })
     }));
+
+    if (previous && isJournaledUpdate(updates)) {
+      this.record('Edit favorite',
+        storage => storage.updateFavorite(id, previous),
+        storage => storage.updateFavorite(id, updates));
+    }
+    return newState;
   },
 
+  // Reorder favorites to match newOrder (by ID, so concurrent edits to favorites are kept)
   async reorderFavorites(newOrder) {
-    return this.updateState(state => ({
-      ...state,
-      favorites: newOrder
-    }));
+    let previousOrder = null;
+    const newState = await this.updateState(state => {
+      previousOrder = state.favorites.map(f => f.id);
+      return {
+        ...state,
+        favorites: sortByIds(state.favorites, newOrder.map(f => f.id))
+      };
+    });
+
+    const nextOrder = newOrder.map(f => f.id);
+    this.record('Reorder favorites',
+      storage => storage.reorderFavorites(previousOrder.map(id => ({ id }))),
+      storage => storage.reorderFavorites(nextOrder.map(id => ({ id }))));
+    return newState;
   },
 
   // Workspace operations
   async addWorkspace(name, emoji = null) {
-    const id = crypto.randomUUID();
-    const workspace = {
-      id,
-      name,
-      emoji: emoji,
-      items: [],
-      collapsed: false
-    };
+    const workspace = createWorkspace(name, emoji);
+    const { id } = workspace;
 
     await this.updateState(state => ({
       ...state,
@@ -189,25 +643,64 @@ const Storage = {
       }
     }));
 
+    this.record('Add workspace',
+      storage => storage.updateState(state => deleteWorkspace(state, id)),
+      storage => storage.insertWorkspace(workspace));
+
     // Return the workspace object (not the full state)
     return workspace;
   },
 
+  // Moves the workspace (with its items) to the trash
   async removeWorkspace(id) {
+    let entry = null;
+    const newState = await this.updateState(state => {
+      const { [id]: workspace, ...rest } = state.workspaces;
+      if (!workspace) return state;
+
+      entry = createTrashEntry('workspace', workspace, { index: Object.keys(state.workspaces).indexOf(id) });
+      return { ...state, workspaces: rest, trash: addToTrash(state, entry) };
+    });
+
+    if (entry) {
+      this.record(`Delete workspace "${entry.data.name}"`,
+        storage => storage.updateState(state => restoreTrashEntry(state, entry)),
+        storage => storage.removeWorkspace(id));
+    }
+    return newState;
+  },
+
+  /**
+   * Insert an existing workspace object at a position (used to restore removed workspaces)
+   * @param {number|null} index - Position in workspace order (null = append)
+   */
+  async insertWorkspace(workspace, index = null) {
     return this.updateState(state => {
-      const { [id]: removed, ...rest } = state.workspaces;
-      return { ...state, workspaces: rest };
+      const entries = Object.entries(state.workspaces).filter(([id]) => id !== workspace.id);
+      entries.splice(index === null ? entries.length : Math.min(index, entries.length), 0, [workspace.id, workspace]);
+      return { ...state, workspaces: Object.fromEntries(entries) };
     });
   },
 
   async updateWorkspace(id, updates) {
-    return this.updateState(state => ({
-      ...state,
-      workspaces: {
-        ...state.workspaces,
-        [id]: { ...state.workspaces[id], ...updates }
-      }
-    }));
+    let previous = null;
+    const newState = await this.updateState(state => {
+      previous = state.workspaces[id] ? pickFields(state.workspaces[id], updates) : null;
+      return {
+        ...state,
+        workspaces: {
+          ...state.workspaces,
+          [id]: { ...state.workspaces[id], ...updates }
+        }
+      };
+    });
+
+    if (previous && isJournaledUpdate(updates)) {
+      this.record('Edit workspace',
+        storage => storage.updateWorkspace(id, previous),
+        storage => storage.updateWorkspace(id, updates));
+    }
+    return newState;
   },
 
   async toggleWorkspaceCollapsed(id) {
@@ -225,8 +718,9 @@ const Storage = {
 
   // Workspace item operations
   async addWorkspaceItem(workspaceId, item) {
-    const itemId = crypto.randomUUID();
-    return this.updateState(state => ({
+    const newItem = createWorkspaceItem(item);
+
+    const newState = await this.updateState(state => ({
       ...state,
       workspaces: {
         ...state.workspaces,
@@ -234,69 +728,267 @@ const Storage = {
           ...state.workspaces[workspaceId],
           items: [
             ...state.workspaces[workspaceId].items,
-            {
-              id: itemId,
-              url: item.url,
-              alias: item.alias || null,
-              icon: item.icon || null,
-              // Tab binding cache
-              lastBoundTabId: null,
-              lastBoundAt: null
-            }
+            newItem
           ]
         }
       }
     }));
+
+    this.record('Add tab',
+      storage => storage.updateState(state => deleteWorkspaceItem(state, workspaceId, newItem.id)),
+      storage => storage.insertWorkspaceItem(workspaceId, newItem));
+    return newState;
   },
 
+  // Moves the item to the trash
   async removeWorkspaceItem(workspaceId, itemId) {
-    return this.updateState(state => ({
-      ...state,
-      workspaces: {
-        ...state.workspaces,
-        [workspaceId]: {
-          ...state.workspaces[workspaceId],
-          items: state.workspaces[workspaceId].items.filter(i => i.id !== itemId)
+    let entry = null;
+    const newState = await this.updateState(state => {
+      const workspace = state.workspaces[workspaceId];
+      const index = workspace ? workspace.items.findIndex(i => i.id === itemId) : -1;
+      if (index === -1) return state;
+
+      entry = createTrashEntry('item', workspace.items[index], {
+        index,
+        workspaceId,
+        workspaceName: workspace.name
+      });
+      return {
+        ...state,
+        workspaces: {
+          ...state.workspaces,
+          [workspaceId]: {
+            ...workspace,
+            items: workspace.items.filter(i => i.id !== itemId)
+          }
+        },
+        trash: addToTrash(state, entry)
+      };
+    });
+
+    if (entry) {
+      this.record('Remove tab',
+        storage => storage.updateState(state => restoreTrashEntry(state, entry)),
+        storage => storage.removeWorkspaceItem(workspaceId, itemId));
+    }
+    return newState;
+  },
+
+  /**
+   * Insert an existing item object into a workspace (used to restore removed items)
+   * @param {number|null} index - Position (null = append)
+   */
+  async insertWorkspaceItem(workspaceId, item, index = null) {
+    return this.updateState(state => {
+      const workspace = state.workspaces[workspaceId];
+      if (!workspace) return state;
+
+      const items = workspace.items.filter(i => i.id !== item.id);
+      items.splice(index === null ? items.length : Math.min(index, items.length), 0, item);
+      return {
+        ...state,
+        workspaces: {
+          ...state.workspaces,
+          [workspaceId]: { ...workspace, items }
         }
-      }
-    }));
+      };
+    });
   },
 
   async updateWorkspaceItem(workspaceId, itemId, updates) {
-    return this.updateState(state => ({
+    let previous = null;
+    const newState = await this.updateState(state => ({
       ...state,
       workspaces: {
         ...state.workspaces,
         [workspaceId]: {
           ...state.workspaces[workspaceId],
-          items: state.workspaces[workspaceId].items.map(i =>
-            i.id === itemId ? { ...i, ...updates } : i
-          )
+          items: state.workspaces[workspaceId].items.map(i => {
+            if (i.id !== itemId) return i;
+            previous = pickFields(i, updates);
+            return { ...i, ...updates };
+          })
         }
       }
     }));
+
+    if (previous && isJournaledUpdate(updates)) {
+      this.record('Edit tab',
+        storage => storage.updateWorkspaceItem(workspaceId, itemId, previous),
+        storage => storage.updateWorkspaceItem(workspaceId, itemId, updates));
+    }
+    return newState;
   },
 
-  async moveWorkspaceItem(fromWorkspaceId, toWorkspaceId, itemId) {
-    return this.updateState(state => {
-      const item = state.workspaces[fromWorkspaceId].items.find(i => i.id === itemId);
-      if (!item) return state;
+  /**
+   * Move an item to a workspace (or to a new position in the same workspace)
+   * @param {number|null} toIndex - Position in the target workspace (null = append)
+   */
+  async moveWorkspaceItem(fromWorkspaceId, toWorkspaceId, itemId, toIndex = null) {
+    let fromIndex = -1;
+    const newState = await this.updateState(state => {
+      const source = state.workspaces[fromWorkspaceId];
+      const target = state.workspaces[toWorkspaceId];
+      const item = source?.items.find(i => i.id === itemId);
+      if (!item || !target) return state;
+
+      fromIndex = source.items.indexOf(item);
+      const sourceItems = source.items.filter(i => i.id !== itemId);
+      const targetItems = fromWorkspaceId === toWorkspaceId ? sourceItems : [...target.items];
+      const insertionIndex = toIndex === null ? targetItems.length : Math.min(toIndex, targetItems.length);
+      targetItems.splice(insertionIndex, 0, item);
 
       return {
         ...state,
         workspaces: {
           ...state.workspaces,
           [fromWorkspaceId]: {
-            ...state.workspaces[fromWorkspaceId],
-            items: state.workspaces[fromWorkspaceId].items.filter(i => i.id !== itemId)
+            ...source,
+            items: sourceItems
           },
           [toWorkspaceId]: {
-            ...state.workspaces[toWorkspaceId],
-            items: [...state.workspaces[toWorkspaceId].items, item]
+            ...target,
+            items: targetItems
           }
         }
       };
     });
+
+    if (fromIndex !== -1) {
+      this.record('Move tab',
+        storage => storage.moveWorkspaceItem(toWorkspaceId, fromWorkspaceId, itemId, fromIndex),
+        storage => storage.moveWorkspaceItem(fromWorkspaceId, toWorkspaceId, itemId, toIndex));
+    }
+    return newState;
+  },
+
+  /**
+   * Add imported favorites and workspaces in one write (one undo entry)
+   * URLs already saved (compared canonically, as in a backup merge) are skipped; workspaces with an existing
+   * name are added to.
+   * @param {Object} collection - { favorites: [{ url, title }], workspaces: [{ name, emoji, items: [{ url, title }] }] }
+   * @returns {Promise<Object>} - { state, summary: { favorites, workspaces, items, skipped } }
+   */
+  async addCollection(collection) {
+    let summary = null;
+    let previous = null;
+    const newState = await this.updateState(state => {
+      previous = state;
+      summary = { favorites: 0, workspaces: 0, items: 0, skipped: 0 };
+
+      const canonical = url => canonicalizeUrl(url, { rules: state.urlRules });
+      const existingUrls = new Set(state.favorites.map(fav => canonical(fav.url)));
+      Object.values(state.workspaces).forEach(ws => {
+        ws.items.forEach(item => existingUrls.add(canonical(item.url)));
+      });
+      const isNew = url => {
+        const key = canonical(url);
+        if (existingUrls.has(key)) {
+          summary.skipped++;
+          return false;
+        }
+        existingUrls.add(key);
+        return true;
+      };
+
+      const favorites = [...state.favorites];
+      collection.favorites.filter(fav => isNew(fav.url)).forEach(fav => {
+        favorites.push(createFavorite({ url: fav.url, title: fav.title || null }));
+        summary.favorites++;
+      });
+
+      const workspaces = { ...state.workspaces };
+      const workspacesByName = new Map(Object.values(workspaces).map(ws => [ws.name.toLowerCase(), ws.id]));
+      collection.workspaces.forEach(folder => {
+        const newItems = folder.items
+          .filter(item => isNew(item.url))
+          .map(item => createWorkspaceItem({ url: item.url, alias: item.title || null }));
+        if (newItems.length === 0) return;
+
+        let id = workspacesByName.get(folder.name.toLowerCase());
+        if (!id) {
+          const workspace = createWorkspace(folder.name, folder.emoji || null);
+          id = workspace.id;
+          workspaces[id] = workspace;
+          workspacesByName.set(folder.name.toLowerCase(), id);
+          summary.workspaces++;
+        }
+        workspaces[id] = { ...workspaces[id], items: [...workspaces[id].items, ...newItems] };
+        summary.items += newItems.length;
+      });
+
+      return summary.favorites + summary.items === 0 ? state : { ...state, favorites, workspaces };
+    });
+
+    if (newState !== previous) {
+      const additions = collectAdditions(previous, newState);
+      this.record('Import',
+        storage => storage.updateState(state => removeAdditions(state, additions)),
+        storage => storage.updateState(state => insertAdditions(state, additions)));
+    }
+    return { state: newState, summary };
+  },
+
+  // Trash
+
+  /**
+   * Restore a trash entry to its original place
+   * @param {string} entryId - Trash entry ID
+   */
+  async restoreFromTrash(entryId) {
+    let entry = null;
+    const newState = await this.updateState(state => {
+      entry = (state.trash || []).find(t => t.id === entryId) || null;
+      return entry ? restoreTrashEntry(state, entry) : state;
+    });
+
+    if (!entry) {
+      throw new Error('Already deleted from trash');
+    }
+
+    this.record('Restore from trash',
+      storage => storage.moveToTrash(entry),
+      storage => storage.updateState(state => restoreTrashEntry(state, entry)));
+    return newState;
+  },
+
+  // Move a restored entry back to the trash (undo of restoreFromTrash)
+  async moveToTrash(entry) {
+    if (entry.type === 'favorite') {
+      return this.removeFavorite(entry.data.id);
+    }
+    if (entry.type === 'workspace') {
+      return this.removeWorkspace(entry.data.id);
+    }
+
+    // Items may have been restored into a recreated workspace
+    const state = await this.getState();
+    const workspace = Object.values(state.workspaces).find(ws => ws.items.some(i => i.id === entry.data.id));
+    return workspace ? this.removeWorkspaceItem(workspace.id, entry.data.id) : state;
+  },
+
+  // Delete a trash entry permanently (not undoable)
+  async deleteFromTrash(entryId) {
+    return this.updateState(state => ({
+      ...state,
+      trash: (state.trash || []).filter(t => t.id !== entryId)
+    }));
+  },
+
+  async emptyTrash() {
+    return this.updateState(state => ((state.trash || []).length > 0 ? { ...state, trash: [] } : state));
+  },
+
+  // Drop entries older than the retention period (run periodically)
+  async purgeTrash() {
+    return this.updateState(state => {
+      const retentionDays = state.preferences.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS;
+      const expired = new Set(expiredTrashEntries(state.trash, retentionDays).map(t => t.id));
+      if (expired.size === 0) return state;
+
+      console.log(`[Storage] Purging ${expired.size} trash entries older than ${retentionDays} days`);
+      return { ...state, trash: state.trash.filter(t => !expired.has(t.id)) };
+    });
   },
 
   // Preferences
@@ -307,26 +999,175 @@ const Storage = {
     }));
   },
 
+  // Replace the URL canonicalization rules (Settings → URL Rules)
+  async setUrlRules(rules) {
+    let previous = null;
+    const newState = await this.updateState(state => {
+      previous = state.urlRules;
+      return { ...state, urlRules: normalizeUrlRules(rules) };
+    });
+
+    if (previous) {
+      this.record('Edit URL rules',
+        storage => storage.setUrlRules(previous),
+        storage => storage.setUrlRules(rules));
+    }
+    return newState;
+  },
+
+  // Tab Bindings
+  /**
+   * Record the tabs favorites and workspace tabs are bound to, in one write (not journaled)
+   * @param {Object[]} bindings - [{ target: favorite or workspace item (see switchTargets), lastBoundTabId, lastBoundAt }]
+   */
+  async updateBindings(bindings) {
+    const favorites = new Map();
+    const items = new Map();
+    bindings.forEach(({ target, lastBoundTabId, lastBoundAt }) => {
+      (target.workspaceId ? items : favorites).set(target.id, { lastBoundTabId, lastBoundAt });
+    });
+    const bind = updates => entry => (updates.has(entry.id) ? { ...entry, ...updates.get(entry.id) } : entry);
+
+    return this.updateState(state => {
+      const workspaces = {};
+      Object.values(state.workspaces).forEach(ws => {
+        workspaces[ws.id] = ws.items.some(item => items.has(item.id)) ? { ...ws, items: ws.items.map(bind(items)) } : ws;
+      });
+      return { ...state, favorites: state.favorites.map(bind(favorites)), workspaces };
+    });
+  },
+
+  // Favorites stay bound to their tab until it closes, so bindings from the last session are dropped at startup
+  async clearTabBindings() {
+    return this.updateState(unbindTabs);
+  },
+
   // Tab Aliases
+  // Stored under their own ID with the tab's identity, so they survive restarts (see syncTabAliases)
   async setTabAlias(tabId, alias) {
-    return this.updateState(state => ({
-      ...state,
-      tabAliases: {
-        ...state.tabAliases,
-        [tabId]: alias
-      }
-    }));
+    const tab = await chrome.tabs.get(tabId);
+    const identity = tabIdentity(tab, await getWindowOrdinals());
+
+    return this.updateState(state => {
+      const existing = Object.values(state.tabAliases).find(a => a.tabId === tabId);
+      const aliasId = existing?.id || crypto.randomUUID();
+      return {
+        ...state,
+        tabAliases: {
+          ...state.tabAliases,
+          [aliasId]: { id: aliasId, alias, tabId, ...identity, missedSyncs: 0 }
+        }
+      };
+    });
   },
 
+  // Remove the alias of a tab
   async removeTabAlias(tabId) {
     return this.updateState(state => {
-      const { [tabId]: removed, ...rest } = state.tabAliases;
+      const existing = Object.values(state.tabAliases).find(a => a.tabId === tabId);
+      if (!existing) return state;
+
+      const { [existing.id]: _, ...rest } = state.tabAliases;
       return { ...state, tabAliases: rest };
     });
   },
 
+  // Keep an alias's identity current as its tab navigates and moves, for matching it after a restart
+  async refreshTabAlias(tabId) {
+    const tab = await chrome.tabs.get(tabId);
+    const identity = tabIdentity(tab, await getWindowOrdinals());
+
+    return this.updateState(state => {
+      const existing = Object.values(state.tabAliases).find(a => a.tabId === tabId);
+      if (!existing || Object.keys(identity).every(key => existing[key] === identity[key])) return state;
+
+      return {
+        ...state,
+        tabAliases: { ...state.tabAliases, [existing.id]: { ...existing, ...identity } }
+      };
+    });
+  },
+
   getTabAlias(tabId) {
-    return stateCache?.tabAliases?.[tabId] || null;
+    return Object.values(stateCache?.tabAliases || {}).find(a => a.tabId === tabId)?.alias || null;
+  },
+
+  /**
+   * Re-bind aliases to live tabs (after a restart, tabs have new IDs) and sweep aliases whose tab is gone
+   * An alias is dropped after going unmatched for MAX_MISSED_SYNCS syncs, so tabs still being
+   * restored at startup keep their names.
+   * @param {Object} options - { restarted: at browser startup, when stored tab IDs are stale }
+   */
+  async syncTabAliases({ restarted = false } = {}) {
+    const liveTabs = await collectLiveTabs();
+
+    return this.updateState(state => {
+      const aliases = Object.values(state.tabAliases || {});
+      if (aliases.length === 0) return state;
+
+      const matches = matchAliases(aliases, liveTabs, { restarted });
+      const tabAliases = {};
+      aliases.forEach(alias => {
+        const match = matches.get(alias.id);
+        if (match) {
+          tabAliases[alias.id] = { ...alias, tabId: match.tab.id, ...match.identity, missedSyncs: 0 };
+        } else if ((alias.missedSyncs || 0) + 1 < MAX_MISSED_SYNCS) {
+          tabAliases[alias.id] = { ...alias, tabId: null, missedSyncs: (alias.missedSyncs || 0) + 1 };
+        } else {
+          console.log(`[Storage] Sweeping alias "${alias.alias}" (tab no longer exists)`);
+        }
+      });
+
+      return JSON.stringify(tabAliases) === JSON.stringify(state.tabAliases) ? state : { ...state, tabAliases };
+    });
+  },
+
+  // Workspace Windows
+  // The window a workspace's tabs open in with the 'workspace-window' behavior (see relinkWorkspaceWindow)
+  async setWorkspaceWindow(workspaceId, windowId) {
+    const link = windowLink(windowId, await getWindowOrdinals(), await browserSession());
+    return this.updateState(state => {
+      if (!state.workspaces[workspaceId]) return state;
+
+      // A window belongs to one workspace at a time
+      const workspaces = {};
+      Object.values(state.workspaces).forEach(ws => {
+        const sameWindow = ws.window?.windowId === windowId && ws.window.session === link.session;
+        workspaces[ws.id] = ws.id === workspaceId ? { ...ws, window: link }
+          : sameWindow ? { ...ws, window: null } : ws;
+      });
+      return { ...state, workspaces };
+    });
+  },
+
+  /**
+   * Find a workspace's window again after a restart (windows come back with new IDs)
+   * Runs on the workspace's next open rather than at startup, so session restore has had time to bring
+   * the windows back. A window that can't be found leaves the link as it is.
+   * @returns {Promise<number|null>} - ID of the workspace's window, or null if it isn't open
+   */
+  async relinkWorkspaceWindow(workspaceId) {
+    const current = await this.getState();
+    const workspace = current.workspaces[workspaceId];
+    if (!workspace?.window) return null;
+
+    const options = {
+      rules: current.urlRules,
+      stripTracking: current.preferences?.stripTrackingParams !== false
+    };
+    const session = await browserSession();
+    const liveWindows = await collectLiveWindows(options);
+
+    // Windows other workspaces are linked to in this session are taken
+    const taken = new Set(Object.values(current.workspaces)
+      .filter(ws => ws.id !== workspaceId && ws.window?.session === session)
+      .map(ws => ws.window.windowId));
+    const match = matchWorkspaceWindows([workspace], liveWindows.filter(entry => !taken.has(entry.windowId)), options)
+      .get(workspaceId);
+    if (!match) return null;
+
+    await this.setWorkspaceWindow(workspaceId, match.windowId);
+    return match.windowId;
   },
 
   // Tab Grouping
@@ -354,34 +1195,303 @@ const Storage = {
   },
 
   // Migrations
+
+  /**
+   * Preview pending migrations on the stored state without writing
+   * @returns {Promise<Object>} - { state, steps, error } (see dryRunMigrations)
+   */
+  async dryRunMigrations() {
+    return dryRunMigrations(await readStoredState());
+  },
+
+  /**
+   * Run pending migrations on the stored state, once, under the state lock
+   * Whichever context (service worker or side panel) gets the lock first migrates; the other finds
+   * nothing pending. The state is snapshotted first, every step is validated in a dry run before
+   * anything is written, and a write that fails or reads back invalid is rolled back.
+   * @returns {Promise<Object>} - Current (migrated) state
+   * @throws {MigrationError} - If a migration fails (stored state is left as it was)
+   */
   async runMigrations() {
-    const state = await this.getState();
-    const updatedState = runMigrations(state);
+    return enqueueWrite(() => withStateLock(async () => {
+      if (!(await this.hasState())) {
+        return readStoredState(); // Fresh installs start at the latest version
+      }
 
-    // Only save if state changed
-    if (updatedState.migrationVersion !== state.migrationVersion) {
-      await this.setState(updatedState);
-      return updatedState;
-    }
+      const before = await readStoredState();
+      const pending = pendingMigrations(before);
+      if (pending.length === 0) {
+        stateCache = before;
+        return before;
+      }
 
-    return state;
+      const fromVersion = before.migrationVersion || 0;
+      console.log(`[Migrations] Migrating from v${fromVersion} to v${LATEST_VERSION}`);
+      await snapshotBefore('migration', before);
+
+      const { state: migrated, steps, error } = dryRunMigrations(before);
+      if (error) {
+        console.error('[Migrations] Dry run failed, state unchanged:', steps);
+        throw error;
+      }
+
+      const newState = { ...migrated, revision: (before.revision || 0) + 1 };
+      try {
+        await writeState(newState);
+
+        const written = await readStoredState();
+        if (written.migrationVersion !== LATEST_VERSION) {
+          throw new MigrationError(`Stored state is at v${written.migrationVersion} after migrating to v${LATEST_VERSION}`);
+        }
+      } catch (writeError) {
+        console.error('[Migrations] Failed, rolling back to the pre-migration state:', writeError);
+        await writeState(before);
+        throw writeError instanceof MigrationError
+          ? writeError
+          : new MigrationError(`Migration write failed: ${writeError.message}`, { errors: [writeError.message] });
+      }
+
+      steps.forEach(step => console.log(`[Migrations] v${step.version}: ${step.description}`));
+      console.log(`[Migrations] Completed. Now at v${LATEST_VERSION}`);
+      notifyStateChanged(newState);
+      return newState;
+    }));
   },
 
   // Export/Import
-  async exportData() {
+  exportFormats: EXPORT_FORMATS,
+
+  /**
+   * Export state as a backup or as links for other tools
+   * @param {string} format - 'json' | 'encrypted' | 'html' | 'markdown' | 'opml' (see EXPORT_FORMATS)
+   * @param {Object} options - { workspaceId: export a single workspace (not for backups), passphrase: for 'encrypted' }
+   * @returns {Promise<string>} - File contents
+   */
+  async exportData(format = 'json', { workspaceId = null, passphrase = null } = {}) {
     const state = await this.getState();
-    return JSON.stringify(state, null, 2);
+
+    if (EXPORT_FORMATS[format]?.backup) {
+      if (workspaceId) {
+        throw new Error('Backups always contain everything');
+      }
+      const json = JSON.stringify(state, null, 2);
+      return format === 'encrypted' ? encryptBackup(json, passphrase) : json;
+    }
+
+    const selection = selectExport(state, workspaceId);
+    switch (format) {
+      case 'html':
+        return toBookmarkHtml(selection);
+      case 'markdown':
+        return toMarkdown(selection);
+      case 'opml':
+        return toOpml(selection);
+      default:
+        throw new Error(`Unknown export format: ${format}`);
+    }
   },
 
-  async importData(jsonString) {
-    try {
-      const state = JSON.parse(jsonString);
-      await this.setState(state);
-      return true;
-    } catch (error) {
-      console.error('Import failed:', error);
-      return false;
+  // Encrypted backups (the side panel decrypts before previewing the import)
+  isEncryptedBackup(text) {
+    return isEncryptedBackup(text);
+  },
+
+  /**
+   * @throws {BackupDecryptError} - Wrong passphrase or damaged file (message is user-readable)
+   */
+  async decryptBackup(text, passphrase) {
+    return decryptBackup(text, passphrase);
+  },
+
+  /**
+   * Validate, migrate and (optionally) merge a backup without writing anything
+   * @param {string} jsonString - Backup file contents
+   * @param {Object} options - { mode: 'replace' | 'merge' }
+   * @returns {Promise<Object>} - { ok, errors, mode, state, summary }
+   */
+  async previewImport(jsonString, { mode = 'replace' } = {}) {
+    if (!IMPORT_MODES.includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const { errors, incoming } = parseImport(jsonString);
+    if (errors.length > 0) {
+      return { ok: false, errors, mode };
     }
+
+    const current = await this.getState();
+
+    if (mode === 'merge') {
+      const { state, summary } = mergeStates(current, incoming);
+      return { ok: true, errors: [], mode, state, summary };
+    }
+
+    return { ok: true, errors: [], mode, state: incoming, summary: summarizeReplace(current, incoming) };
+  },
+
+  /**
+   * Import a backup, replacing or merging into the current state
+   * @param {string} jsonString - Backup file contents
+   * @param {Object} options - { mode: 'replace' | 'merge' }
+   * @returns {Promise<Object>} - Preview result (see previewImport); state is the saved state when ok
+   */
+  async importData(jsonString, { mode = 'replace' } = {}) {
+    const preview = await this.previewImport(jsonString, { mode });
+    if (!preview.ok) {
+      console.error('[Storage] Import rejected:', preview.errors);
+      return preview;
+    }
+
+    // Merge against the latest stored state, in case it changed while the preview was shown
+    const { incoming } = parseImport(jsonString);
+    await snapshotBefore('import', await this.getState());
+
+    let previous = null;
+    const newState = await this.updateState(state => {
+      previous = state;
+      return mode === 'merge' ? mergeStates(state, incoming).state : incoming;
+    });
+
+    if (mode === 'merge') {
+      // A merge only adds, so undo takes out what it added rather than restoring the whole state
+      const additions = collectAdditions(previous, newState);
+      this.record('Merge backup',
+        storage => storage.updateState(state => removeAdditions(state, additions)),
+        storage => storage.updateState(state => insertAdditions(state, additions)));
+    } else {
+      this.record('Import backup',
+        storage => storage.setState(previous),
+        storage => storage.setState(newState));
+    }
+    return { ...preview, state: newState };
+  },
+
+  // Snapshots
+  async takeSnapshot(reason = 'periodic') {
+    if (!(await this.hasState())) return null;
+    return snapshotStore.save(await this.getState(), reason);
+  },
+
+  /**
+   * Snapshots for the restore browser, newest first
+   * @returns {Promise<Object[]>} - { id, createdAt, reason, label, counts, diff } (diff: what restoring would change)
+   */
+  async listSnapshots() {
+    const [snapshots, current] = await Promise.all([snapshotStore.list(), this.getState()]);
+    return snapshots.map(snapshot => ({
+      id: snapshot.id,
+      createdAt: snapshot.createdAt,
+      reason: snapshot.reason,
+      label: SNAPSHOT_REASONS[snapshot.reason] || snapshot.reason,
+      counts: snapshot.counts,
+      diff: diffStates(current, snapshot.state)
+    }));
+  },
+
+  /**
+   * Replace state with a snapshot (current state is snapshotted first)
+   * Snapshots taken before a migration are migrated on the way back in. Their tab bindings, tab names
+   * and workspace windows point at tabs from back then, so they're dropped.
+   * @param {number} id - Snapshot ID
+   * @returns {Promise<Object>} - New state
+   */
+  async restoreSnapshot(id) {
+    const snapshot = await snapshotStore.get(id);
+    if (!snapshot) {
+      throw new Error('Snapshot not found');
+    }
+
+    await snapshotBefore('restore', await this.getState());
+    const restored = detachFromTabs(applyMigrations(snapshot.state));
+
+    let previous = null;
+    const newState = await this.updateState(state => {
+      previous = state;
+      return restored;
+    });
+
+    this.record('Restore snapshot',
+      storage => storage.setState(previous),
+      storage => storage.setState(restored));
+    return newState;
+  },
+
+  // Storage area
+  async getArea() {
+    return getStorageArea();
+  },
+
+  /**
+   * Switch the storage area, moving the current state into it
+   * Synced data is left in place when switching away from sync, so other devices keep it.
+   * @param {string} area - 'local' | 'sync'
+   * @param {Object} options - { adoptExisting: use state already stored in the target area }
+   */
+  async setArea(area, { adoptExisting = false } = {}) {
+    if (!STORAGE_AREAS.includes(area)) {
+      throw new Error(`Unknown storage area: ${area}`);
+    }
+
+    return enqueueWrite(() => withStateLock(async () => {
+      const currentArea = await getStorageArea();
+      if (area === currentArea) return;
+
+      const existing = adoptExisting ? await BACKENDS[area].read() : null;
+      if (existing) {
+        stateCache = existing;
+      } else {
+        const state = await readStoredState();
+        try {
+          await BACKENDS[area].write(state);
+        } catch (error) {
+          if (error instanceof SyncQuotaError) {
+            await writeConfig({ syncFallback: { reason: error.message, at: Date.now() } });
+          }
+          throw error;
+        }
+      }
+
+      await writeConfig({ area, syncFallback: null });
+      if (currentArea === 'local') {
+        await localBackend.clear();
+      } else {
+        await syncBackend.clearDevice();
+      }
+      storageArea = area;
+      console.log(`[Storage] Moved state from ${currentArea} to ${area}`);
+
+      if (existing) {
+        notifyStateChanged(existing);
+      }
+    }));
+  },
+
+  /**
+   * Sync status for Settings: active area, quota in use and any quota fallback
+   * @returns {Promise<Object>} - { area, bytesInUse, quotaBytes, hasSyncedState, fallback }
+   */
+  async getSyncStatus() {
+    const area = await getStorageArea();
+    const config = await readConfig();
+    const usage = await syncBackend.getUsage();
+    const syncedState = area === 'sync' ? true : !!(await syncBackend.read());
+
+    return {
+      area,
+      ...usage,
+      hasSyncedState: syncedState,
+      fallback: config?.syncFallback || null
+    };
+  },
+
+  /**
+   * Subscribe to state changes made in any context
+   * @param {Function} listener - Called with the new state
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
   },
 
   // Clear cache (useful for forcing refresh)
@@ -390,13 +1500,26 @@ const Storage = {
   }
 };
 
+// Classic side panel scripts (components.js, sidepanel.js, ...) use Storage as a global
+globalThis.Storage = Storage;
+
 // Listen for storage changes from other contexts
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'sync' && changes[STORAGE_KEY]) {
-    stateCache = changes[STORAGE_KEY].newValue;
-    // Dispatch custom event for UI to react
-    window.dispatchEvent(new CustomEvent('storage-updated', {
-      detail: stateCache
-    }));
+  // Area switched in another context - drop cached area and state
+  if (areaName === 'local' && changes[CONFIG_KEY]) {
+    storageArea = changes[CONFIG_KEY].newValue?.area || null;
+    stateCache = null;
   }
+
+  // The sync backend also keeps device-local fields in the local area
+  const newState = BACKENDS[storageArea]?.applyChanges(changes, areaName);
+  if (!newState) return;
+
+  // Skip echoes of our own writes (onChanged fires in the writing context too). Device-only writes to
+  // the sync backend don't store their revision, so it's left out of the comparison.
+  const withoutRevision = state => JSON.stringify({ ...state, revision: null });
+  if (stateCache && withoutRevision(stateCache) === withoutRevision(newState)) return;
+
+  stateCache = newState;
+  notifyStateChanged(stateCache);
 });
@@ -1,5 +1,7 @@
 // Tab Grouping Feature
 // Handles automatic tab grouping by domain
+// Tabs are grouped by site (registrable domain), so mail.google.com and docs.google.com share a group
+// while two *.github.io pages don't.
 
 /**
  * Analyze tabs to determine if grouping banner should be shown
@@ -28,18 +30,15 @@ function shouldShowGroupingBanner(tabs, groupingState) {
     return { shouldShow: false, stats: null };
   }
 
-  // Group tabs by domain
+  // Group tabs by site
   const domainGroups = {};
   validTabs.forEach(tab => {
-    try {
-      const hostname = new URL(tab.url).hostname;
-      if (!domainGroups[hostname]) {
-        domainGroups[hostname] = [];
-      }
-      domainGroups[hostname].push(tab);
-    } catch (e) {
-      // Skip invalid URLs
+    const site = TabMatcher.siteOf(tab.url);
+    if (!site) return; // Skip invalid URLs
+    if (!domainGroups[site]) {
+      domainGroups[site] = [];
     }
+    domainGroups[site].push(tab);
   });
 
   // Find domains with 2+ tabs
@@ -73,22 +72,19 @@ function groupTabsByDomain(tabs) {
     tab.url && !tab.url.startsWith('chrome://') && !tab.url.startsWith('edge://')
   );
 
-  // Group by domain
+  // Group by site
   const domainGroups = {};
   validTabs.forEach(tab => {
-    try {
-      const hostname = new URL(tab.url).hostname;
-      if (!domainGroups[hostname]) {
-        domainGroups[hostname] = {
-          domain: hostname,
-          tabs: [],
-          collapsed: false // Start expanded
-        };
-      }
-      domainGroups[hostname].tabs.push(tab);
-    } catch (e) {
-      // Skip invalid URLs
+    const site = TabMatcher.siteOf(tab.url);
+    if (!site) return; // Skip invalid URLs
+    if (!domainGroups[site]) {
+      domainGroups[site] = {
+        domain: site,
+        tabs: [],
+        collapsed: false // Start expanded
+      };
     }
+    domainGroups[site].tabs.push(tab);
   });
 
   // Separate groups (2+ tabs) from singles (1 tab)
@@ -216,7 +212,7 @@ function createSmallGroupButton(tabCount, onGroup) {
  * @param {Function} onTabClose - Callback when tab close is clicked
  * @param {Function} onTabNav - Callback for back/forward navigation
  * @param {Function} onTabRename - Callback for tab rename
- * @param {Object} tabAliases - Tab aliases from state
+ * @param {Object} tabAliases - Map of tabId -> alias name
  * @returns {HTMLElement}
  */
 function renderGroupedTabs(groupedData, callbacks, tabAliases = {}) {
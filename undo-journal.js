@@ -0,0 +1,100 @@
+// Undo/Redo Journal
+// Records inverse operations for sidebar mutations (see Storage.record, whose replays don't record again)
+
+const UNDO_LIMIT = 50;
+
+class UndoJournal {
+  constructor(limit = UNDO_LIMIT) {
+    this.limit = limit;
+    this.undoStack = []; // entries: { label, undo, redo }
+    this.redoStack = [];
+  }
+
+  /**
+   * Record an operation
+   * @param {Object} entry - { label, undo: async fn, redo: async fn }
+   */
+  record(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * Run several mutations and record them as a single entry
+   * Only what fn records through the recorder it's given joins the entry (see Storage.recordingTo);
+   * operations the user makes meanwhile are recorded on their own.
+   * @param {string} label - Label for the combined entry
+   * @param {Function} fn - Async function performing the mutations: recorder => Promise ({ record(entry) })
+   */
+  async group(label, fn) {
+    const entries = [];
+    try {
+      return await fn({ record: entry => entries.push(entry) });
+    } finally {
+      if (entries.length > 0) {
+        this.record({
+          label,
+          undo: async () => {
+            for (const entry of [...entries].reverse()) {
+              await entry.undo();
+            }
+          },
+          redo: async () => {
+            for (const entry of entries) {
+              await entry.redo();
+            }
+          }
+        });
+      }
+    }
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Undo the most recent operation
+   * @returns {Promise<Object|null>} - The undone entry, or null if there was nothing to undo
+   */
+  async undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    try {
+      await entry.undo();
+    } catch (error) {
+      // Keep the entry so the user can try again
+      this.undoStack.push(entry);
+      throw error;
+    }
+    this.redoStack.push(entry);
+    return entry;
+  }
+
+  /**
+   * Redo the most recently undone operation
+   * @returns {Promise<Object|null>} - The redone entry, or null if there was nothing to redo
+   */
+  async redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    try {
+      await entry.redo();
+    } catch (error) {
+      // Keep the entry so the user can try again
+      this.redoStack.push(entry);
+      throw error;
+    }
+    this.undoStack.push(entry);
+    return entry;
+  }
+}